@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Generates the Model subclasses of an OpenAPI 3 document or a JSON Schema (see src/codegen/generateModels.mjs)
+ *
+ *     signal-query-models generate api.json --out src/models [--import-from signal-query-models] [--no-index]
+ *     signal-query-models generate api.json --out src/models --check
+ *
+ * With --check nothing is written: it lists the differences between the files and the document,
+ * and exits with 1 if there are any, so it can run in the CI.
+ */
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { extname, join, resolve } from 'node:path';
+import { checkModels, generateModels } from '../src/codegen/generateModels.mjs';
+
+const USAGE = 'Usage: signal-query-models generate <spec.json> --out <dir> [--check] [--import-from <module>] [--base-url <url>] [--no-index]';
+
+const parseArgs = (args) => {
+    const options = { positional: [] };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--check') options.check = true;
+        else if (arg === '--no-index') options.index = false;
+        else if (arg === '--out') options.out = args[++index];
+        else if (arg === '--import-from') options.importFrom = args[++index];
+        else if (arg === '--base-url') options.baseUrl = args[++index];
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}\n${USAGE}`);
+        else options.positional.push(arg);
+    }
+    return options;
+};
+
+const readSpec = (file) => {
+    if (['.yaml', '.yml'].includes(extname(file))) {
+        throw new Error(`${file}: only JSON documents are supported, convert the YAML to JSON first`);
+    }
+    return JSON.parse(readFileSync(file, 'utf8'));
+};
+
+const readExistingFiles = (dir) => {
+    if (!existsSync(dir)) return {};
+    return Object.fromEntries(readdirSync(dir)
+        .filter((fileName) => fileName.endsWith('.js'))
+        .map((fileName) => [fileName, readFileSync(join(dir, fileName), 'utf8')]));
+};
+
+const main = (args) => {
+    const { positional: [command, specFile], out, check, ...options } = parseArgs(args);
+    if (command !== 'generate' || !specFile || !out) {
+        throw new Error(USAGE);
+    }
+    const spec = readSpec(resolve(specFile));
+    const dir = resolve(out);
+
+    if (check) {
+        const problems = checkModels(spec, readExistingFiles(dir), options);
+        for (const problem of problems) {
+            if (problem.type === 'changed') {
+                console.log(`${problem.fileName}:${problem.line} does not match the document`);
+                console.log(`  expected: ${problem.expected ?? '(end of file)'}`);
+                console.log(`  found:    ${problem.actual ?? '(end of file)'}`);
+            } else if (problem.type === 'missing') {
+                console.log(`${problem.fileName} is missing`);
+            } else {
+                console.log(`${problem.fileName} was generated from a schema that is not in the document anymore`);
+            }
+        }
+        console.log(problems.length ? `${problems.length} model file(s) out of date` : 'The models match the document');
+        return problems.length ? 1 : 0;
+    }
+
+    mkdirSync(dir, { recursive: true });
+    const files = generateModels(spec, options);
+    for (const { fileName, code } of files) {
+        writeFileSync(join(dir, fileName), code);
+    }
+    console.log(`Generated ${files.length} file(s) in ${out}`);
+    return 0;
+};
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
@@ -0,0 +1,2 @@
+export { ModelDevtools, createDevtools } from './src/devtools/ModelDevtools.js';
+export { ModelDevtoolsPanel } from './src/devtools/ModelDevtoolsPanel.js';
@@ -1,3 +1,29 @@
-module.exports = {
-  // Tu código inicial o exportaciones mínimas aquí
-};
\ No newline at end of file
+export { Model, DataModel } from './src/Model.js';
+export { TransportAdapter, replaceUrlParams, buildQueryString } from './src/Transport.js';
+export { ModelError, NetworkError, NotFoundError, AuthError, ConflictError, ValidationError } from './src/Errors.js';
+export { FetchAdapter } from './src/adapters/FetchAdapter.js';
+export { AxiosAdapter } from './src/adapters/AxiosAdapter.js';
+export { MockAdapter } from './src/adapters/MockAdapter.js';
+export { ModelProvider, ModelContext, useModelQueryClient } from './src/ModelProvider.js';
+export { dehydrateModels, hydrateModels } from './src/ssr.js';
+export { useModel } from './src/hooks/useModel.js';
+export { useModelList } from './src/hooks/useModelList.js';
+export { useModelMutation } from './src/hooks/useModelMutation.js';
+export { useModelCollection } from './src/hooks/useModelCollection.js';
+export { useModelForm } from './src/hooks/useModelForm.js';
+export { ModelCollection } from './src/ModelCollection.js';
+export { QueryBuilder } from './src/QueryBuilder.js';
+export { DataTablesCompiler, JsonApiCompiler, QueryStringCompiler, createQueryStringCompiler } from './src/QueryCompilers.js';
+export { Serializer, RawSerializer, DataMetaSerializer, JsonApiSerializer } from './src/Serializers.js';
+export { OfflineQueue } from './src/offline/OfflineQueue.js';
+export { MemoryStorage } from './src/offline/MemoryStorage.js';
+export { WebStorage } from './src/offline/WebStorage.js';
+export { IndexedDBStorage } from './src/offline/IndexedDBStorage.js';
+export { RealtimeAdapter } from './src/realtime/RealtimeAdapter.js';
+export { WebSocketAdapter } from './src/realtime/WebSocketAdapter.js';
+export { EventSourceAdapter } from './src/realtime/EventSourceAdapter.js';
+export { MockRealtimeAdapter } from './src/realtime/MockRealtimeAdapter.js';
+export { RealtimeSync } from './src/realtime/RealtimeSync.js';
+export { Factory, defineFactory } from './src/testing/Factory.js';
+export { FakeApi, createFakeApi } from './src/testing/FakeApi.js';
+export { readModelDefinitions, generateModels, checkModels } from './src/codegen/generateModels.mjs';
@@ -0,0 +1,140 @@
+import { RELATION_ATTRIBUTE_TYPES } from './Relations.js';
+
+/**
+ * Definition of the types that can be declared in the ATTRIBUTES_CONFIG of a Model.
+ * Each type has:
+ *  - coerce: Transforms the value received by the setter into the value of the type.
+ *            It receives the value, the configuration of the attribute and the model that owns it.
+ *            It must not throw, if the value cannot be transformed it is returned as it is.
+ *  - check: Returns true if the value is a valid value of the type.
+ */
+
+const isEmpty = (value) => value === undefined || value === null;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toDate = (value) => {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' || typeof value === 'number') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date;
+    }
+    return value;
+};
+
+const ATTRIBUTE_TYPES = {
+    string: {
+        coerce: (value) => (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value,
+        check: (value) => typeof value === 'string',
+    },
+    uuid: {
+        coerce: (value) => typeof value === 'string' ? value.toLowerCase() : value,
+        check: (value) => typeof value === 'string' && UUID_PATTERN.test(value),
+    },
+    number: {
+        coerce: (value) => {
+            if (typeof value === 'string') {
+                if (value.trim() === '') return null;
+                const number = Number(value);
+                return isNaN(number) ? value : number;
+            }
+            return value;
+        },
+        check: (value) => typeof value === 'number' && !isNaN(value),
+    },
+    boolean: {
+        coerce: (value) => {
+            if (value === 'true' || value === '1' || value === 1) return true;
+            if (value === 'false' || value === '0' || value === 0 || value === '') return false;
+            return value;
+        },
+        check: (value) => typeof value === 'boolean',
+    },
+    date: {
+        coerce: toDate,
+        check: (value) => value instanceof Date && !isNaN(value.getTime()),
+    },
+    enum: {
+        coerce: (value, config) => {
+            // Values coming from inputs are strings, so we look for the declared value with the same string form
+            if (typeof value === 'string' && Array.isArray(config.values)) {
+                const found = config.values.find((option) => String(option) === value);
+                return found !== undefined ? found : value;
+            }
+            return value;
+        },
+        check: (value, config) => Array.isArray(config.values) && config.values.includes(value),
+    },
+    array: {
+        coerce: (value) => value,
+        check: (value) => Array.isArray(value),
+    },
+    object: {
+        coerce: (value) => value,
+        check: (value) => typeof value === 'object' && !Array.isArray(value),
+    },
+    ...RELATION_ATTRIBUTE_TYPES,
+};
+
+/**
+ * Returns the size of the value to be compared against min and max
+ * according to the type: the length for strings and arrays, the time for dates.
+ */
+const getSize = (value) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const getLimit = (limit) => limit instanceof Date ? limit.getTime() : limit;
+
+/**
+ * Validates the value of an attribute according to its configuration
+ * @param {*} value The value of the attribute
+ * @param {Object} config The configuration of the attribute
+ * @param {Object} types The available attribute types
+ * @param {Object} data The whole data of the entity, passed to the custom validators
+ * @returns {Array<string>} The error messages. Empty if the value is valid
+ */
+const validateAttributeValue = (value, config = {}, types = ATTRIBUTE_TYPES, data = {}) => {
+    const errors = [];
+    if (isEmpty(value) || value === '') {
+        if (config.required) {
+            errors.push(config.messages?.required ?? 'This field is required');
+        }
+        return errors;
+    }
+
+    const type = config.type ? types[config.type] : null;
+    if (type && !type.check(value, config)) {
+        if (config.type === 'enum') {
+            errors.push(config.messages?.type ?? `It must be one of: ${(config.values ?? []).join(', ')}`);
+        } else {
+            errors.push(config.messages?.type ?? `It must be a valid ${config.type}`);
+        }
+        return errors;
+    }
+
+    if (config.min !== undefined && getSize(value) < getLimit(config.min)) {
+        errors.push(config.messages?.min ?? `It must be at least ${config.min}`);
+    }
+    if (config.max !== undefined && getSize(value) > getLimit(config.max)) {
+        errors.push(config.messages?.max ?? `It must be at most ${config.max}`);
+    }
+    if (config.pattern && typeof value === 'string' && !new RegExp(config.pattern).test(value)) {
+        errors.push(config.messages?.pattern ?? 'It has an invalid format');
+    }
+
+    const validators = Array.isArray(config.validate) ? config.validate : (config.validate ? [config.validate] : []);
+    for (const validator of validators) {
+        const result = validator(value, data);
+        if (result === false) {
+            errors.push('It is invalid');
+        } else if (typeof result === 'string') {
+            errors.push(result);
+        }
+    }
+    return errors;
+};
+
+export { ATTRIBUTE_TYPES, validateAttributeValue };
@@ -0,0 +1,154 @@
+/**
+ * Errors thrown by the requests of the models. The errors of the adapters are translated into these
+ * classes by the status of the response, so they can be told apart with instanceof:
+ *
+ *     try { await user.patch(); } catch (error) { if (error instanceof ValidationError) ... }
+ *
+ * They keep the `response` ({ data, status, headers }) and the `config` of the request, like the
+ * errors of the adapters, and the original error as `cause`.
+ */
+
+/**
+ * Base class of the errors of the requests
+ * @property {number|null} status The status of the response, or null when there is no response
+ * @property {Object|null} response The response of the adapter: { data, status, headers }
+ * @property {Object|null} config The config of the request
+ */
+class ModelError extends Error {
+
+    name = 'ModelError';
+
+    status = null;
+
+    response = null;
+
+    config = null;
+
+    /**
+     * @param {string} message The message of the error
+     * @param {Object} options
+     *                  - response: The response of the adapter
+     *                  - config: The config of the request
+     *                  - cause: The original error
+     */
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.response = options.response ?? null;
+        this.status = this.response?.status ?? null;
+        this.config = options.config ?? null;
+    }
+}
+
+/**
+ * The request did not get a response: there is no connection, the server is unreachable or it timed out
+ */
+class NetworkError extends ModelError {
+    name = 'NetworkError';
+}
+
+/**
+ * The entity does not exist in the server (404, 410)
+ */
+class NotFoundError extends ModelError {
+    name = 'NotFoundError';
+}
+
+/**
+ * The user is not authenticated or not allowed to perform the request (401, 403)
+ */
+class AuthError extends ModelError {
+    name = 'AuthError';
+}
+
+/**
+ * The entity changed in the server since the version sent (409, 412). See Model.VERSION.
+ * When the conflict is not resolved, it has the conflicting attributes and the server version.
+ * @property {Object|null} conflicts { attribute: { original, local, server } }
+ * @property {Object|null} serverData The data of the entity in the server
+ */
+class ConflictError extends ModelError {
+
+    name = 'ConflictError';
+
+    conflicts = null;
+
+    serverData = null;
+}
+
+/**
+ * The data of the entity is not valid, in the client or in the server (400 and 422 with errors)
+ * @property {Object} errors The messages by attribute: { attribute: [messages] }
+ */
+class ValidationError extends ModelError {
+
+    name = 'ValidationError';
+
+    errors = {};
+
+    /**
+     * @param {string} message The message of the error
+     * @param {Object} options The options of ModelError, plus:
+     *                  - errors: The messages by attribute
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.errors = options.errors ?? {};
+    }
+}
+
+/**
+ * Returns true if the error is a cancellation of the request, that must not be translated
+ */
+const isAbortError = (error) => error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+
+/**
+ * Translates an error of a request into a ModelError of the class that corresponds to its status
+ * @param {Error} error The error of the adapter
+ * @param {typeof Model} ModelClass The class of the entity, to read the validation errors with its serializer
+ * @returns {Error} The ModelError, or the same error if it already is one or the request was cancelled
+ */
+const toModelError = (error, ModelClass = null) => {
+    if (error instanceof ModelError || isAbortError(error)) return error;
+    const options = { response: error?.response ?? null, config: error?.config ?? null, cause: error };
+    const message = error?.message ?? String(error);
+    const status = options.response?.status;
+    if (!options.response) {
+        return new NetworkError(message, options);
+    }
+    if (status === 404 || status === 410) {
+        return new NotFoundError(message, options);
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(message, options);
+    }
+    if (status === 409 || status === 412) {
+        return new ConflictError(message, options);
+    }
+    const errors = ModelClass?.getSerializer().readErrors(ModelClass, options.response) ?? {};
+    if (status === 422 || (status === 400 && Object.keys(errors).length)) {
+        return new ValidationError(message, { ...options, errors });
+    }
+    return new ModelError(message, options);
+};
+
+/**
+ * Returns the retry policy for an error: the one of its class or, for the other ModelErrors, the one of ModelError
+ * @param {Object} policies The policies by the name of the error class (see Model.RETRY)
+ * @param {Error} error The error of the request
+ * @returns {Object|null} The policy: { retries, delay, factor, maxDelay }
+ */
+const getRetryPolicy = (policies, error) => {
+    return policies[error?.name] ?? (error instanceof ModelError ? policies.ModelError : null) ?? null;
+};
+
+/**
+ * Returns the milliseconds to wait before a retry, growing exponentially
+ * @param {Object} policy The retry policy: { delay, factor, maxDelay }
+ * @param {number} retry The number of the retry, starting at 0
+ */
+const getRetryDelay = (policy, retry) => {
+    const { delay = 0, factor = 2, maxDelay = 30000 } = policy;
+    return Math.min(delay * factor ** retry, maxDelay);
+};
+
+export { ModelError, NetworkError, NotFoundError, AuthError, ConflictError, ValidationError, isAbortError, toModelError, getRetryPolicy, getRetryDelay };
@@ -0,0 +1,85 @@
+/**
+ * Middleware intercept the requests and the events of the models. They can be added globally
+ * (Model.use), per class (UserModel.use) or per instance (user.use, or the `middleware` option
+ * of the constructor), and they run in that order.
+ *
+ * A middleware is an object with any of these hooks:
+ *  - beforeRequest(context): Runs before sending the request. It can return a new context to
+ *                            transform the data or the config, or a context with a `response`
+ *                            to short-circuit the request.
+ *  - afterResponse(response, context): Runs after the response arrives, in reverse order.
+ *                            It can return a new response to transform it.
+ *  - onError(error, context): Runs when the request fails, in reverse order, with a ModelError (see
+ *                            Errors.js). It can return a response to recover from the error, or
+ *                            `context.retry()` to send the request again. If no middleware returns a
+ *                            response, the error is thrown.
+ *  - onChange(event): Runs when an attribute of an instance changes: { model, attribute, value, previous }
+ *  - onSave(event): Runs when an instance is persisted: { model, method, response }
+ *
+ * The context of a request is:
+ *  - method: get, list, post, patch or delete
+ *  - ModelClass: The class of the entity
+ *  - model: The instance, or null for the list requests
+ *  - data: The data to send
+ *  - config: The config of the endpoint ({ url, method, headers, ... })
+ *  - attempt: The number of the attempt, starting at 1
+ *  - retry(changes): Sends the request again, optionally with changes to the context
+ */
+
+/**
+ * Sends a request through the given middleware
+ * @param {Array<Object>} middleware The middleware, in order
+ * @param {Object} context The context of the request
+ * @param {Function} send Sends the request with the context and resolves with the response
+ * @returns {Promise<Object>} The response: { data, status, headers }
+ */
+const runRequest = async (middleware, context, send) => {
+    const attempt = { attempt: 1, ...context };
+    attempt.retry = (changes = {}) => runRequest(middleware, {
+        ...attempt,
+        ...changes,
+        response: undefined,
+        attempt: attempt.attempt + 1,
+    }, send);
+
+    let current = attempt;
+    try {
+        for (const item of middleware) {
+            if (!item.beforeRequest) continue;
+            current = (await item.beforeRequest(current)) ?? current;
+            if (current.response) break;
+        }
+        let response = current.response ?? await send(current);
+        for (const item of [...middleware].reverse()) {
+            if (!item.afterResponse) continue;
+            response = (await item.afterResponse(response, current)) ?? response;
+        }
+        return response;
+    } catch (error) {
+        for (const item of [...middleware].reverse()) {
+            if (!item.onError) continue;
+            const response = await item.onError(error, current);
+            if (response !== undefined) return response;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Calls the hook of an event in every middleware. The errors of the listeners are not propagated.
+ * @param {Array<Object>} middleware The middleware, in order
+ * @param {string} hook The name of the hook: onChange or onSave
+ * @param {Object} event The event passed to the hook
+ */
+const emitEvent = (middleware, hook, event) => {
+    for (const item of middleware) {
+        if (!item[hook]) continue;
+        try {
+            item[hook](event);
+        } catch (error) {
+            console.error(`Error in the ${hook} middleware: `, error);
+        }
+    }
+};
+
+export { runRequest, emitEvent };
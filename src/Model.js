@@ -1,30 +1,128 @@
-import { QueryClient } from '@tanstack/react-query';
-import ApiService from '../Services/ApiService';
-import { Signal, signal } from '@preact/signals-react';
+import { QueryClient, notifyManager } from '@tanstack/react-query';
+import { replaceUrlParams } from './Transport.js';
+import { FetchAdapter } from './adapters/FetchAdapter.js';
+import { Signal, signal, computed, effect, batch, untracked } from '@preact/signals-react';
+import { ATTRIBUTE_TYPES, validateAttributeValue } from './AttributeTypes.js';
+import { isRelation, serializeRelated, getRelationKey } from './Relations.js';
+import { QueryBuilder } from './QueryBuilder.js';
+import { DataTablesCompiler } from './QueryCompilers.js';
+import { runRequest, emitEvent } from './Middleware.js';
+import { Serializer } from './Serializers.js';
+import { ConflictError, ValidationError, isAbortError, toModelError, getRetryPolicy, getRetryDelay } from './Errors.js';
+
+/**
+ * Calls the worker for each item, with at most `limit` calls running at the same time
+ * @returns {Promise<Array>} The results of the worker, in the order of the items
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+    return results;
+};
 
 /**
  * Class to represent the data of any entity in the application.
  * It auto generates the getters and setters for the attributes of the entity.
  * 
+ * Each attribute can be configured with:
+ *  - type: One of the ATTRIBUTE_TYPES (string, uuid, number, boolean, date, enum, array, object).
+ *          The values are coerced to this type when they are setted.
+ *  - values: The allowed values for the enum type
+ *  - required: The attribute must have a value
+ *  - default: The initial value of the attribute. It can be a function that returns it
+ *  - min / max: Limits of the value. For strings and arrays they apply to the length
+ *  - pattern: Regular expression that string values must match
+ *  - apiName: The name of the attribute in the API, when it is not the name in the case of the SERIALIZER
+ *  - serialize / deserialize: Functions that transform the value to and from the format of the API
+ *  - validate: Custom validator or list of validators. They receive the value and the data
+ *              of the entity, and return false or an error message when the value is invalid
+ *  - messages: Custom error messages by rule (required, type, min, max, pattern)
+ *  - get / set: Custom getter and setter
+ *  - primaryKey: The attribute is part of the primary key. Once it has a value, it cannot be changed.
+ *                Without a type, numeric strings are transformed into numbers. Model sets it from PRIMARY_KEY.
+ * 
+ * Relations with other models are declared with the belongsTo, hasOne and hasMany types (see Relations.js)
+ * 
+ * The changes of the attributes can be recorded to undo and redo them, after calling enableHistory().
+ * 
+ * Derived values are declared with defineComputed(). They are read as any other attribute, but they
+ * cannot be setted and they are never sent to the API.
+ * 
  * @property {Object} attributesConfig This is the configuration of the attributes of the entity
  * @property {Model} model This is the reference of the Model that owns this DataModel
+ * @property {Object} errors The signals with the validation errors of each attribute
+ * @property {Signal<boolean>} isValid Computed signal that indicates if there are no validation errors
+ * @property {Signal<boolean>} canUndo Computed signal that indicates if there are changes to undo
+ * @property {Signal<boolean>} canRedo Computed signal that indicates if there are undone changes to redo
  */
 class DataModel {
 
     static PROPERTY_PREFIX = '_prop_';
 
+    static COMPUTED_PREFIX = '_computed_';
+
+    /**
+     * The available types for the attributes. New types can be added here.
+     */
+    static ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
+    /**
+     * The number of steps kept in the history when no limit is passed to enableHistory()
+     */
+    static HISTORY_LIMIT = 100;
+
     attributesConfig = {};
 
+    /**
+     * The definitions of the computed values: { name: { get, include } }
+     */
+    computedConfig = {};
+
     model = null;
 
+    errors = {};
+
+    isValid = computed(() => Object.values(this.errors).every((errors) => errors.value.length === 0));
+
+    /**
+     * The steps of the history. Each step is a list of changes: [{ attribute, previous, value }]
+     */
+    _undoStack = signal([]);
+
+    _redoStack = signal([]);
+
+    canUndo = computed(() => this._undoStack.value.length > 0);
+
+    canRedo = computed(() => this._redoStack.value.length > 0);
+
+    /**
+     * The maximum number of steps in the history. 0 while the history is disabled
+     */
+    _historyLimit = 0;
+
+    /**
+     * The changes of the running transaction, or null if there is none
+     */
+    _transaction = null;
+
+    /**
+     * While it is greater than 0, the changes are not recorded in the history
+     */
+    _historyPaused = 0;
+
     static VALIDATE_DATE_TYPE = function(value) {
-        if (value instanceof Date) {
-            return value;
-        } else if (typeof value === 'string') {
-            return new Date(value);
-        } else {
-            throw new Error("Invalid type for updatedAt");
+        const date = ATTRIBUTE_TYPES.date.coerce(value);
+        if (!ATTRIBUTE_TYPES.date.check(date)) {
+            throw new Error(`Invalid date value: ${value}`);
         }
+        return date;
     }
 
     constructor(attributesConfig, modelReference) {
@@ -35,46 +133,320 @@ class DataModel {
 
         for (const attribute in this.attributesConfig) {
 
+            this._assertAvailableName(attribute);
+
             const propName = this.constructor.PROPERTY_PREFIX + attribute;
+
+            const config = this.attributesConfig[attribute] ?? {};
+            const defaultValue = typeof config.default === 'function' ? config.default() : config.default;
             
-            this[propName] = signal(null);
+            this[propName] = signal(defaultValue !== undefined ? this.coerce(attribute, defaultValue) : null);
+            this.errors[attribute] = signal([]);
 
-            const config = this.attributesConfig[attribute];
-            const hasCustomGetter = config && typeof config.get === 'function';
-            const hasCustomSetter = config && typeof config.set === 'function';
+            const hasCustomGetter = typeof config.get === 'function';
+            const hasCustomSetter = typeof config.set === 'function';
 
             const getterAndSetter = {
                 get: hasCustomGetter ? config.get : () => {
                     return this[propName].value;
                 },
-                set: hasCustomSetter ? config.set : (value) => {
-                    this[propName].value = value;
+                set: hasCustomSetter ? (value) => config.set(this.coerce(attribute, value)) : (value) => {
+                    this[propName].value = this.coerce(attribute, value);
                 }
             };
 
-            // Special case for the 'id' attribute
-            if (attribute === 'id') {
+            // Special case for the attributes of the primary key
+            if (config.primaryKey) {
                 getterAndSetter.set = (value) => {
                     // It is not possible to direclty set the ID of an entity when it is already setted
-                    if (this._prop_id?.value) return;
-                    this._prop_id.value =  parseInt(value);
+                    if (this[propName].peek() !== null) return;
+                    if (value === undefined || value === null) return;
+                    this[propName].value = config.type ? this.coerce(attribute, value) : DataModel.coerceKey(value);
+                }
+            }
+
+            Object.defineProperty(this, attribute, {
+                ...getterAndSetter,
+                set: (value) => {
+                    const previous = this[propName].peek();
+                    getterAndSetter.set(value);
+                    // The errors are refreshed as soon as the user fixes the value
+                    if (this.errors[attribute].peek().length) {
+                        this.validateAttribute(attribute);
+                    }
+                    const current = this[propName].peek();
+                    if (DataModel.areEqualValues(previous, current)) return;
+                    if (!config.primaryKey) {
+                        this._recordChange(attribute, previous, current);
+                    }
+                    if (this.model.data === this) {
+                        this.model._emitChange(attribute, current, previous);
+                    }
                 }
+            });
+
+        }
+    }
+
+    /**
+     * Throws if the name of an attribute or a computed value is already used by a member of the
+     * DataModel or the Model (errors, isValid, validate, changes...), since both expose the attributes
+     * @param {string} name The name of the attribute or the computed value
+     */
+    _assertAvailableName(name) {
+        const isOwnMember = (object) => Object.prototype.hasOwnProperty.call(object, name);
+        if (name in DataModel.prototype || name in Model.prototype || isOwnMember(this) || isOwnMember(this.model)) {
+            // The model is still being built, so its class is read from the prototype instead of through its proxy
+            const className = Object.getPrototypeOf(this.model).constructor.name;
+            throw new Error(`${name} is reserved by the model and cannot be used as the name of an attribute of ${className}`);
+        }
+    }
+
+    /**
+     * Transforms the value of a primary key without type: numeric strings are transformed into
+     * numbers, and any other value (like UUIDs and slugs) is kept as it is
+     */
+    static coerceKey(value) {
+        if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : value;
+        }
+        return value;
+    }
+
+    /**
+     * Transforms the value to the type declared for the attribute
+     * @param {string} attribute The name of the attribute
+     * @param {*} value The value to transform
+     * @returns {*} The transformed value, or the same value if it cannot be transformed
+     */
+    coerce = (attribute, value) => {
+        const config = this.attributesConfig[attribute] ?? {};
+        const type = config.type ? this.constructor.ATTRIBUTE_TYPES[config.type] : null;
+        if (!type) {
+            if (config.type) throw new Error(`Unknown type ${config.type} for ${attribute}`);
+            return value;
+        }
+        if (value === undefined || value === null) return null;
+        return type.coerce(value, config, this.model);
+    }
+
+    /**
+     * Validates one attribute and updates its errors signal
+     * @param {string} attribute The name of the attribute
+     * @returns {boolean} True if the attribute is valid
+     */
+    validateAttribute = (attribute) => {
+        const errors = validateAttributeValue(
+            this[attribute],
+            this.attributesConfig[attribute] ?? {},
+            this.constructor.ATTRIBUTE_TYPES,
+            this.getObject()
+        );
+        this.errors[attribute].value = errors;
+        return errors.length === 0;
+    }
+
+    /**
+     * Sets errors found outside the validation, like the ones returned by the server.
+     * They are replaced when the attribute is validated again, for example when its value changes.
+     * @param {Object} errors The messages by attribute: { attribute: [messages] }
+     */
+    setErrors = (errors) => {
+        batch(() => {
+            for (const attribute in errors) {
+                if (!this.errors[attribute]) continue;
+                this.errors[attribute].value = [].concat(errors[attribute]);
             }
+        });
+    }
 
-            Object.defineProperty(this, attribute, getterAndSetter);
+    /**
+     * Validates all the attributes and updates their errors signals
+     * @returns {boolean} True if all the attributes are valid
+     */
+    validate = () => {
+        let isValid = true;
+        batch(() => {
+            for (const attribute in this.attributesConfig) {
+                isValid = this.validateAttribute(attribute) && isValid;
+            }
+        });
+        return isValid;
+    }
 
+    /**
+     * Returns the current validation errors of the attributes that have any
+     * @returns {Object} The error messages by attribute: { attribute: [messages] }
+     */
+    getErrors = () => {
+        const errors = {};
+        for (const attribute in this.errors) {
+            if (this.errors[attribute].value.length) {
+                errors[attribute] = this.errors[attribute].value;
+            }
         }
+        return errors;
     }
 
     /**
-     * This function updates the data of the entity with the data passed as parameter
+     * This function updates the data of the entity with the data passed as parameter.
+     * The changes are recorded as one step of the history.
      */
     update = (data) => {
-        for (const attribute in data) {
-            if (attribute in this) {
-                this[attribute] = data[attribute];
+        this.transaction(() => {
+            for (const attribute in this.attributesConfig) {
+                const value = this.readAttribute(data, attribute);
+                if (value !== undefined) {
+                    this[attribute] = value;
+                }
             }
+        });
+    }
+
+    /**
+     * Starts recording the changes of the attributes, so they can be undone and redone
+     * @param {Object} options
+     *                  - limit: The maximum number of steps to keep. HISTORY_LIMIT by default
+     */
+    enableHistory = (options = {}) => {
+        this._historyLimit = options.limit ?? this.constructor.HISTORY_LIMIT;
+    }
+
+    /**
+     * Stops recording the changes and removes the history
+     */
+    disableHistory = () => {
+        this._historyLimit = 0;
+        this.clearHistory();
+    }
+
+    /**
+     * Removes all the steps of the history
+     */
+    clearHistory = () => {
+        batch(() => {
+            this._undoStack.value = [];
+            this._redoStack.value = [];
+        });
+    }
+
+    /**
+     * Runs the function recording all the changes it performs as one step of the history.
+     * Nested transactions are part of the outer one. The function must be synchronous.
+     * @param {Function} callback The function that changes the attributes
+     * @returns {*} The value returned by the function
+     */
+    transaction = (callback) => {
+        if (this._transaction) return callback();
+        this._transaction = [];
+        try {
+            return batch(callback);
+        } finally {
+            const changes = this._transaction;
+            this._transaction = null;
+            this._pushHistoryStep(changes);
+        }
+    }
+
+    /**
+     * Runs the function without recording its changes in the history,
+     * like the data received from the server
+     * @param {Function} callback The function that changes the attributes
+     * @returns {*} The value returned by the function
+     */
+    withoutHistory = (callback) => {
+        this._historyPaused++;
+        try {
+            return callback();
+        } finally {
+            this._historyPaused--;
+        }
+    }
+
+    /**
+     * Reverts the last step of the history
+     * @returns {boolean} True if there was a step to undo
+     */
+    undo = () => {
+        const undoStack = this._undoStack.peek();
+        if (!undoStack.length) return false;
+        const step = undoStack[undoStack.length - 1];
+        batch(() => {
+            this._undoStack.value = undoStack.slice(0, -1);
+            this._redoStack.value = [...this._redoStack.peek(), step];
+            this.withoutHistory(() => {
+                [...step].reverse().forEach(({ attribute, previous }) => {
+                    this[attribute] = previous;
+                });
+            });
+        });
+        return true;
+    }
+
+    /**
+     * Applies again the last undone step
+     * @returns {boolean} True if there was a step to redo
+     */
+    redo = () => {
+        const redoStack = this._redoStack.peek();
+        if (!redoStack.length) return false;
+        const step = redoStack[redoStack.length - 1];
+        batch(() => {
+            this._redoStack.value = redoStack.slice(0, -1);
+            this._undoStack.value = [...this._undoStack.peek(), step];
+            this.withoutHistory(() => {
+                step.forEach(({ attribute, value }) => {
+                    this[attribute] = value;
+                });
+            });
+        });
+        return true;
+    }
+
+    _recordChange = (attribute, previous, value) => {
+        if (!this._historyLimit || this._historyPaused) return;
+        if (this._transaction) {
+            this._transaction.push({ attribute, previous, value });
+        } else {
+            this._pushHistoryStep([{ attribute, previous, value }]);
+        }
+    }
+
+    /**
+     * Adds a step to the history and discards the undone steps.
+     * The changes of the same attribute are merged, keeping the first previous value and the last value.
+     */
+    _pushHistoryStep = (changes) => {
+        const byAttribute = new Map();
+        for (const change of changes) {
+            const merged = byAttribute.get(change.attribute);
+            byAttribute.set(change.attribute, merged ? { ...merged, value: change.value } : change);
+        }
+        const step = [...byAttribute.values()]
+            .filter(({ previous, value }) => !this.constructor.areEqualValues(previous, value));
+        if (!step.length) return;
+        batch(() => {
+            this._undoStack.value = [...this._undoStack.peek(), step].slice(-this._historyLimit);
+            this._redoStack.value = [];
+        });
+    }
+
+    /**
+     * Reads the value of an attribute from a raw object, like an API payload.
+     * For relations, the value can also come through its foreign key.
+     * @param {Object} data The raw object
+     * @param {string} attribute The name of the attribute
+     * @returns {*} The value of the attribute, or undefined if it is not present
+     */
+    readAttribute = (data, attribute) => {
+        if (!data || typeof data !== 'object') return undefined;
+        if (data[attribute] !== undefined) return data[attribute];
+        const config = this.attributesConfig[attribute];
+        if (isRelation(config) && config.foreignKey) {
+            return data[config.foreignKey];
         }
+        return undefined;
     }
 
     /**
@@ -85,9 +457,122 @@ class DataModel {
         for (const attribute in this.attributesConfig) {
             object[attribute] = this[attribute];
         }
+        return { ...object, ...this.getIncludedComputed() };
+    }
+
+    /**
+     * Declares computed values, derived from the attributes. They are recomputed only when the
+     * attributes they read change.
+     * @param {Object} definitions The computed values by name. Each one is a function that receives
+     *                             the model, or an object:
+     *                              - get: The function that receives the model and returns the value
+     *                              - include: Include the value in getObject() and toJSON(). False by default
+     */
+    defineComputed = (definitions = {}) => {
+        for (const name in definitions) {
+            if (name in this.attributesConfig) {
+                throw new Error(`The computed value ${name} is already declared as an attribute`);
+            }
+            this._assertAvailableName(name);
+            const definition = typeof definitions[name] === 'function' ? { get: definitions[name] } : { ...definitions[name] };
+            if (typeof definition.get !== 'function') {
+                throw new Error(`The computed value ${name} must have a get function`);
+            }
+            const signalName = this.constructor.COMPUTED_PREFIX + name;
+            this.computedConfig[name] = definition;
+            this[signalName] = computed(() => definition.get(this.model));
+            Object.defineProperty(this, name, {
+                get: () => this[signalName].value,
+                enumerable: true,
+                configurable: true,
+            });
+        }
+    }
+
+    /**
+     * Returns the computed signal of the indicated name
+     * @param {string} name The name of the computed value
+     * @returns {Signal} The computed signal
+     */
+    getComputed = (name) => {
+        return this[this.constructor.COMPUTED_PREFIX + name];
+    }
+
+    /**
+     * Returns the computed values declared with `include`
+     */
+    getIncludedComputed = () => {
+        const object = {};
+        for (const name in this.computedConfig) {
+            if (this.computedConfig[name].include) {
+                object[name] = this[name];
+            }
+        }
+        return object;
+    }
+
+    /**
+     * This function returns the data of the entity in the format to be sent to the API.
+     * Relations are transformed into IDs or nested objects according to their configuration.
+     * @param {Array<string>} attributes The attributes to include. All of them by default
+     * @returns {Object} The serialized data
+     */
+    serialize = (attributes = Object.keys(this.attributesConfig)) => {
+        const object = {};
+        for (const attribute of attributes) {
+            const config = this.attributesConfig[attribute];
+            if (isRelation(config)) {
+                object[getRelationKey(attribute, config)] = serializeRelated(this[attribute], config);
+            } else {
+                object[attribute] = this[attribute];
+            }
+        }
         return object;
     }
 
+    /**
+     * Compares the data of this entity with the data of another DataModel
+     * @param {DataModel} otherData The data to compare with, usually the original data of the entity
+     * @returns {Object} The changed attributes with their values: { attribute: { old, new } }
+     */
+    diff = (otherData) => {
+        const changes = {};
+        if (!otherData) return changes;
+        for (const attribute in this.attributesConfig) {
+            const oldValue = otherData[attribute];
+            const newValue = this[attribute];
+            if (!this.constructor.areEqualValues(oldValue, newValue)) {
+                changes[attribute] = { old: oldValue, new: newValue };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Compares two values of an attribute. Dates are compared by time and
+     * arrays and plain objects by their content
+     * @returns {boolean} True if both values are equivalent
+     */
+    static areEqualValues(a, b) {
+        if (a === b) return true;
+        if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+        if (a instanceof Date && b instanceof Date) {
+            return a.getTime() === b.getTime();
+        }
+        // Related entities are compared by their identity, not by their content
+        if (a?.data instanceof DataModel || b?.data instanceof DataModel) {
+            return typeof a?.compare === 'function' && a.compare(b);
+        }
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            if (Array.isArray(a) !== Array.isArray(b)) return false;
+            const keysA = Object.keys(a);
+            const keysB = Object.keys(b);
+            if (keysA.length !== keysB.length) return false;
+            return keysA.every((key) => DataModel.areEqualValues(a[key], b[key]));
+        }
+        return false;
+    }
+
     /**
      * Returns the corresponding signal referenced of the indicated property
      * @param {string} property The name of the property
@@ -141,6 +626,23 @@ class Model {
      */
     static DELETE_ENDPOINT() { return null };
 
+    /**
+     * Endpoint configuration for the service that performs several operations in one request.
+     * When it is defined, saveMany and deleteMany use it. The request and the response are built
+     * by prepareForBatch and readBatchResponse.
+     */
+    static BATCH_ENDPOINT() { return null };
+
+    /**
+     * The number of operations sent in each request to the BATCH_ENDPOINT
+     */
+    static BATCH_SIZE = 100;
+
+    /**
+     * The number of requests sent at the same time by saveMany and deleteMany without BATCH_ENDPOINT
+     */
+    static BATCH_CONCURRENCY = 4;
+
     /**
      * This is the name of the entity in the API response
      */
@@ -153,13 +655,129 @@ class Model {
     static QUERY_OPTIONS = {
         staleTime: 5 * 60 * 1000, // We assume 5 minutes
         refetchOnWindowFocus: true,
-        retry: true,
+        // The requests are retried by the RETRY policies of each error class, not again by the queries
+        retry: false,
     };
 
     static ATTRIBUTES_CONFIG = {id: {}};
 
     /**
-     * This query will handle all the queries for entities in the application
+     * Values derived from the attributes, backed by computed signals. They are read as the attributes,
+     * and they are never sent to the API. Each one is a function that receives the model, or an object
+     * { get, include } to include it in getObject() and toJSON():
+     *
+     *     static COMPUTED = {
+     *         fullName: (user) => `${user.firstName} ${user.lastName}`,
+     *     };
+     */
+    static COMPUTED = {};
+
+    /**
+     * Functions called when an attribute (or a computed value) changes. They receive the new value,
+     * the previous value and the model:
+     *
+     *     static WATCHERS = {
+     *         status: (status, previous, order) => { ... },
+     *     };
+     */
+    static WATCHERS = {};
+
+    /**
+     * The attribute that identifies the entity, or the list of attributes of a composite key.
+     * Its type is declared in ATTRIBUTES_CONFIG, like any other attribute ('string', 'uuid', 'number'...).
+     * The ID of an entity with a composite key is an object with the value of each attribute: { orgId, userId }
+     * @type {string|Array<string>}
+     */
+    static PRIMARY_KEY = 'id';
+
+    /**
+     * When it is enabled, patch() only sends the attributes that changed since the last
+     * fetch or save, and skips the request when nothing changed.
+     */
+    static PATCH_ONLY_CHANGES = false;
+
+    /**
+     * This is the compiler that transforms the queries built with query() into the filters
+     * of the list service. See QueryCompilers.js
+     */
+    static QUERY_COMPILER = DataTablesCompiler;
+
+    /**
+     * Translates the data of the entity to the format of the API and back: the case of the keys, the
+     * envelopes of the responses and the payloads. See Serializers.js
+     * @type {Serializer}
+     */
+    static SERIALIZER = new Serializer();
+
+    /**
+     * When it is enabled, patch() and delete() apply their changes to the cache before the response
+     * arrives and roll them back if the request fails. It can also be enabled on each call.
+     */
+    static OPTIMISTIC = false;
+
+    /**
+     * The retry policy of the failed requests, by the name of the error class (see Errors.js):
+     *
+     *     static RETRY = { NetworkError: { retries: 3, delay: 500 }, ModelError: { retries: 1 } };
+     *
+     * Each policy has the number of retries, the delay in ms before the first one (0 by default), the factor
+     * that multiplies the delay on each retry (2 by default) and the maxDelay (30 seconds by default).
+     * The policy of ModelError applies to the errors without a policy of their own.
+     * Each endpoint can override the policies with the `retry` key of its config, or disable them with `retry: false`.
+     */
+    static RETRY = {};
+
+    /**
+     * The version of the entity, sent in patch() and delete() so the server can detect concurrent edits:
+     *  - 'etag': The ETag header of the last response is sent back in the If-Match header
+     *  - The name of an attribute, like 'version' or 'updatedAt': It is always sent with the changes
+     * The server must answer with a 409 or 412 status when the entity changed since that version.
+     * @type {string|null}
+     */
+    static VERSION = null;
+
+    /**
+     * How patch() and save() resolve a conflict, when the server answers with a 409 or 412 status:
+     *  - 'error': The error is thrown, with the conflicting attributes in `error.conflicts`
+     *  - 'client': The local changes are sent again on top of the server version
+     *  - 'server': The local changes are discarded and the server version is taken
+     *  - A function (conflicts, model) that returns the values of the conflicting attributes. They are
+     *    sent again with the rest of the local changes on top of the server version. If it returns
+     *    nothing, the error is thrown
+     * It can also be set on each call with the `onConflict` option.
+     */
+    static CONFLICT_STRATEGY = 'error';
+
+    /**
+     * This is the queue for the mutations performed without connection. When it is not set,
+     * the mutations fail as usual. See offline/OfflineQueue.js
+     * @type {OfflineQueue}
+     */
+    static OFFLINE_QUEUE = null;
+
+    /**
+     * When it is enabled, there is only one instance for each ID of the entity: the constructor,
+     * cast, list and select return (and update) the existing instance instead of creating another one.
+     */
+    static IDENTITY_MAP = true;
+
+    /**
+     * When it is enabled, the changes of the attributes are recorded so they can be undone and redone.
+     * It can be true, or an object with the options for DataModel.enableHistory: { limit }
+     */
+    static HISTORY = false;
+
+    /**
+     * This is the transport adapter used to perform the requests to the API.
+     * Setting it on Model applies to every entity, and each subclass can override it
+     * with its own adapter. It uses the native fetch API by default.
+     * @type {TransportAdapter}
+     */
+    static ADAPTER = new FetchAdapter();
+
+    /**
+     * This query will handle all the queries for entities in the application.
+     * On the server, use a QueryClient per request instead, through the ModelProvider.
      */
     static QueryClient = new QueryClient({
         defaultOptions: {
@@ -169,6 +787,21 @@ class Model {
         }
     });
 
+    /**
+     * Creates a new QueryClient with the QUERY_OPTIONS of this entity as default options.
+     * Useful to create a QueryClient per request on the server.
+     * @returns {QueryClient} The new QueryClient
+     */
+    static createQueryClient() {
+        return new QueryClient({
+            defaultOptions: {
+                queries: {
+                    ...this.QUERY_OPTIONS
+                }
+            }
+        });
+    }
+
     /**
      * This is a flag to indicate if the entity is persisted or not
      */
@@ -195,63 +828,154 @@ class Model {
     }
 
     /**
-     * This private attribute is used to store the data returned when some request API is performed
-     * to take advantage of the updated data from the server. 
+     * Computed signal with the changed attributes since the last fetch or save,
+     * compared with the original data: { attribute: { old, new } }
+     * @type {Signal<Object>}
      */
-    _refreshedData = null;
-    
+    changes = computed(() => this.data.diff(this._originalData));
+
     /**
-     * This is the object to handle the data of the entity
-     * @type {DataModel}
+     * Computed signal with the names of the changed attributes
+     * @type {Signal<Array<string>>}
      */
-    data = null;
+    dirtyAttributes = computed(() => Object.keys(this.changes.value));
 
     /**
-     * This is the reference to the Proxy object that wraps this instance
+     * Computed signal that indicates if the entity has unsaved changes
+     * @type {Signal<boolean>}
      */
-    _proxyThis = null;
+    isDirty = computed(() => this.dirtyAttributes.value.length > 0);
 
-    beforeGetCallback = (data) => { };
-    beforePostCallback = (data) => { };
-    beforePatchCallback = (data) => { };
-    beforeDeleteCallback = (data) => { };
-    onSuccessGetCallback = (data) => { };
-    onSuccessPostCallback = (data) => { };
-    onSuccessPatchCallback = (data) => { };
-    onSuccessDeleteCallback = (data) => { };
-    onErrorGetCallback = (error) => { throw error };
-    onErrorPostCallback = (error) => { throw error };
-    onErrorPatchCallback = (error) => { throw error };
-    onErrorDeleteCallback = (error) => { throw error };
-
-    /**
-     * This is the constructor of the class
-     * @param {Object} inicialData The initial data of the entity. Could contain the ID of the entity, if so
-     *                            the entity is considered as already persisted
+    /**
+     * This is a flag to indicate if the data of the entity was received, not only its ID
      */
-    constructor(inicialData, options = {}) {
-        
-        if (!this.constructor.ENTITY_NAME) {
-            throw new Error('ENTITY_NAME not defined');
-        }
+    _isLoaded = false;
 
-        this.beforeGetCallback = options.beforeGetCallback && typeof options.beforeGetCallback === 'function' ? options.beforeGetCallback : this.beforeGetCallback;
-        this.beforePostCallback = options.beforePostCallback && typeof options.beforePostCallback === 'function' ? options.beforePostCallback : this.beforePostCallback;
-        this.beforePatchCallback = options.beforePatchCallback && typeof options.beforePatchCallback === 'function' ? options.beforePatchCallback : this.beforePatchCallback;
-        this.beforeDeleteCallback = options.beforeDeleteCallback && typeof options.beforeDeleteCallback === 'function' ? options.beforeDeleteCallback : this.beforeDeleteCallback;
-        this.onSuccessGetCallback = options.onSuccessGetCallback && typeof options.onSuccessGetCallback === 'function' ? options.onSuccessGetCallback : this.onSuccessGetCallback;
-        this.onSuccessPostCallback = options.onSuccessPostCallback && typeof options.onSuccessPostCallback === 'function' ? options.onSuccessPostCallback : this.onSuccessPostCallback;
-        this.onSuccessPatchCallback = options.onSuccessPatchCallback && typeof options.onSuccessPatchCallback === 'function' ? options.onSuccessPatchCallback : this.onSuccessPatchCallback;
-        this.onSuccessDeleteCallback = options.onSuccessDeleteCallback && typeof options.onSuccessDeleteCallback === 'function' ? options.onSuccessDeleteCallback : this.onSuccessDeleteCallback;
-        this.onErrorGetCallback = options.onErrorGetCallback && typeof options.onErrorGetCallback === 'function' ? options.onErrorGetCallback : this.onErrorGetCallback;
-        this.onErrorPostCallback = options.onErrorPostCallback && typeof options.onErrorPostCallback === 'function' ? options.onErrorPostCallback : this.onErrorPostCallback;
-        this.onErrorPatchCallback = options.onErrorPatchCallback && typeof options.onErrorPatchCallback === 'function' ? options.onErrorPatchCallback : this.onErrorPatchCallback;
-        this.onErrorDeleteCallback = options.onErrorDeleteCallback && typeof options.onErrorDeleteCallback === 'function' ? options.onErrorDeleteCallback : this.onErrorDeleteCallback;
+    /**
+     * When it is enabled, the entity loads its data as soon as any attribute other than the ID is read.
+     * It is used for the related entities received only by ID.
+     */
+    _lazyLoad = false;
+
+    /**
+     * The promise of the load of the data of the entity, to avoid loading it twice
+     */
+    _loadPromise = null;
+
+    /**
+     * The optimistic patches that are waiting for the response of the API, in order
+     */
+    _pendingMutations = [];
+
+    /**
+     * Signal that indicates if the entity has mutations in the offline queue waiting to be sent
+     * @type {Signal<boolean>}
+     */
+    pendingSync = signal(false);
+
+    /**
+     * This private attribute is used to store the data returned when some request API is performed
+     * to take advantage of the updated data from the server. 
+     */
+    _refreshedData = null;
+
+    /**
+     * The query data set by _receiveServerData, already merged into the entity
+     */
+    _receivedData = null;
+    
+    /**
+     * This is the object to handle the data of the entity
+     * @type {DataModel}
+     */
+    data = null;
+
+    /**
+     * This is the reference to the Proxy object that wraps this instance
+     */
+    _proxyThis = null;
+
+    /**
+     * This is the QueryClient of this instance, when it is not the static QueryClient.
+     * It is set by the ModelProvider, to use a QueryClient per request on the server.
+     */
+    _queryClient = null;
+
+    /**
+     * The middleware of this instance (see Middleware.js)
+     */
+    _middleware = [];
+
+    /**
+     * The middleware created for the deprecated callbacks of the constructor options, if any
+     */
+    _callbacks = null;
+
+    /**
+     * Until the instance is created, the changes of its attributes are not emitted to the middleware
+     */
+    _emitChanges = false;
+
+    /**
+     * The watchers and effects of this instance: [{ start, stop }]. They are stopped when the instance
+     * is released from the identity map, and started again if it is registered again.
+     */
+    _watchers = [];
+
+    _watchersActive = true;
+
+    /**
+     * The ETag of the last response of the entity, sent in If-Match when VERSION is 'etag'
+     */
+    _etag = null;
+
+    /**
+     * This is the constructor of the class.
+     * When the identity map already has an instance for the ID in the QueryClient of the options, that instance
+     * is returned instead: the data is merged into it as data from the server (the attributes with unsaved changes
+     * keep their local value), the middleware it does not have yet are added, and the deprecated callbacks replace
+     * its previous ones. The identity map is per QueryClient, so the returned instance always uses that QueryClient.
+     * @param {Object} inicialData The initial data of the entity. Could contain the ID of the entity, if so
+     *                            the entity is considered as already persisted, unless the Model has a composite
+     *                            key: its attributes are set before creating the entity, so they do not tell it
+     * @param {Object} options
+     *                  - isPersisted: The data comes from the server, so the entity already exists
+     *                  - middleware: The middleware of this instance (see Middleware.js)
+     *                  - queryClient: The QueryClient to use instead of the static one
+     *                  - before{Method}Callback, onSuccess{Method}Callback, onError{Method}Callback:
+     *                    Deprecated, use a middleware instead
+     */
+    constructor(inicialData, options = {}) {
+        
+        if (!this.constructor.ENTITY_NAME) {
+            throw new Error('ENTITY_NAME not defined');
+        }
+
+        // If there is already an instance for this ID, it is updated and returned instead of creating a duplicate
+        const existingInstance = this.constructor.findInstance(
+            this.constructor.extractId(inicialData),
+            options.queryClient ?? this.constructor.QueryClient,
+        );
+        if (existingInstance) {
+            existingInstance._mergeServerData(inicialData);
+            existingInstance._addOptionsMiddleware(options);
+            if (options.isPersisted) {
+                existingInstance._isPersisted = true;
+            }
+            return existingInstance;
+        }
+
+        this._queryClient = options.queryClient ?? null;
+
+        this._addOptionsMiddleware(options);
 
         this._proxyThis = new Proxy(this, {
             get: (target, prop, receiver) => {
                 // Si la propiedad existe en `data`, retorna su valor
                 if (prop in target.data && !prop.startsWith('_') && typeof target.data[prop] !== 'function') {
+                    if (target._lazyLoad && prop in target.data.attributesConfig && !target.constructor.isPrimaryKey(prop)) {
+                        target.load().catch(() => {});
+                    }
                     return target.data[prop];
                 }
                 // De lo contrario, usa el comportamiento predeterminado
@@ -273,7 +997,20 @@ class Model {
 
         // We set the initial data of the model
         this._setInitialData(inicialData);
-        
+        if (options.isPersisted && this.hasId()) {
+            this._isPersisted = true;
+        }
+
+        if (this.constructor.HISTORY) {
+            this.data.enableHistory(this.constructor.HISTORY === true ? {} : this.constructor.HISTORY);
+        }
+
+        this.constructor.registerInstance(this._proxyThis);
+        this._emitChanges = true;
+
+        for (const attribute in this.constructor.WATCHERS) {
+            this.watch(attribute, this.constructor.WATCHERS[attribute]);
+        }
 
         // Envolver esta instancia con un Proxy
         // Solo para manejar llamadas externas a las propiedades de este modelo
@@ -284,9 +1021,14 @@ class Model {
      * This function creates the data structure of this model entity based on the ATTRIBUTES_CONFIG
      */
     _createDataStructure = () => {
-        const attributesConfig = this.constructor.ATTRIBUTES_CONFIG;
+        const attributesConfig = { ...this.constructor.ATTRIBUTES_CONFIG };
+        for (const attribute of this.constructor.getPrimaryKeys()) {
+            attributesConfig[attribute] = { ...attributesConfig[attribute], primaryKey: true };
+        }
 
         this.data = new DataModel(attributesConfig, this._proxyThis);
+        this._originalData = new DataModel(attributesConfig, this._proxyThis);
+        this.data.defineComputed(this.constructor.COMPUTED);
     }
 
     /**
@@ -295,51 +1037,122 @@ class Model {
      *                             the entity is considered as already persisted
      */
     _setInitialData = (inicialData) => {
-        if (typeof inicialData === 'object') {
+        if (inicialData && typeof inicialData === 'object') {
             let dataStructure = this.data.getObject();
             for (const attribute in dataStructure) {
-                if (inicialData[attribute] !== undefined && inicialData[attribute] !== null) {
-                    let value = inicialData[attribute];
-                    if (attribute == 'id') {
-                        // If the user passes an object with an ID, we only set the ID of the entity.
-                        // not the rest of the attributes this is the case of the entity is already exists
-                        this._isPersisted = true;
-                        value = parseInt(value);
-                    };
+                const value = this.data.readAttribute(inicialData, attribute);
+                if (value !== undefined && value !== null) {
+                    if (!this.constructor.isPrimaryKey(attribute)) {
+                        this._isLoaded = true;
+                    }
                     this.data[attribute] = value;
                 }
             }
-            this._originalData = new DataModel(this.constructor.ATTRIBUTES_CONFIG, this._proxyThis);
-            this._originalData.update(this.data.getObject());
+            // If the user passes an object with an ID, the entity already exists. The IDs are assigned by the server,
+            // but the attributes of a composite key are set before creating the entity
+            this._isPersisted = !this.constructor.isCompositeKey() && this.hasId();
+            this._rebaseOriginalData();
         }
     }
 
+    /**
+     * Updates the entity with data received from the server without losing the local changes:
+     * the attributes with unsaved changes keep their current value.
+     * @param {Object} serverData A raw version of the data of the entity
+     */
+    _mergeServerData = (serverData) => {
+        if (!serverData || typeof serverData !== 'object') return;
+        const dirtyAttributes = this.dirtyAttributes.peek();
+        batch(() => {
+            for (const attribute in this.data.attributesConfig) {
+                if (this.constructor.isPrimaryKey(attribute)) continue;
+                const value = this.data.readAttribute(serverData, attribute);
+                if (value === undefined) continue;
+                this._isLoaded = true;
+                if (!dirtyAttributes.includes(attribute)) {
+                    this.data.withoutHistory(() => { this.data[attribute] = value; });
+                }
+                this._originalData[attribute] = value;
+            }
+        });
+    }
+
+    /**
+     * Merges the data of the query of the entity when it changes, like the hooks do. The attributes with unsaved
+     * changes keep their value (see _mergeServerData), and the ones of the optimistic mutations still running
+     * keep their confirmed value, as the query has their optimistic one
+     * @param {Object} data A raw version of the data of the entity
+     */
+    _mergeQueryData = (data) => {
+        if (!data || typeof data !== 'object' || data === this._receivedData) return;
+        this._isPersisted = true;
+        this._lazyLoad = false;
+        const pendingAttributes = [...new Set(this._pendingMutations.flatMap((pending) => Object.keys(pending.changes)))];
+        this._mergeServerData({ ...data, ...this._originalData.serialize(pendingAttributes) });
+    }
+
+    /**
+     * Applies data pushed by the server, like the realtime events: it is merged without losing the local
+     * changes (see _mergeServerData) and the query of the entity is updated with the confirmed data.
+     * That query data is not synced back, so the attributes with unsaved changes keep their value.
+     * @param {Object} serverData A raw version of the data of the entity
+     */
+    _receiveServerData = (serverData) => {
+        this._mergeServerData(serverData);
+        const queryClient = this.getQueryClient();
+        const queryKey = this.constructor.getQueryKey(this.getId());
+        queryClient.setQueryData(queryKey, (cachedData) => ({ ...cachedData, ...this._originalData.serialize() }));
+        this._receivedData = queryClient.getQueryData(queryKey);
+    }
+
+    /**
+     * Takes the current data as the original data of the entity.
+     * It is called after the data is fetched or saved successfully.
+     */
+    _rebaseOriginalData = () => {
+        this._originalData.update(this.data.getObject());
+    }
+
     /**
      * Re-runs the query to get the data of the entity. Could be from the caché or from the API
      * or even from any response of the API that has returne a fresh data of the entity
      */
     fetchQuery = async () => {
-        try {
-            const data = await this.constructor.QueryClient.fetchQuery({
-                queryKey: [this.constructor.ENTITY_NAME, this.data.id],
-                queryFn: this._fetchData
-            });
-            this.data.update(data);
+        const data = await this.getQueryClient().fetchQuery({
+            queryKey: this.constructor.getQueryKey(this.getId()),
+            queryFn: this._fetchData
+        });
+        this._syncWithQueryData(data);
+    }
+
+    /**
+     * Updates the data of the entity (and its original data) with the data stored in the query cache
+     * @param {Object} data A raw version of the data of the entity
+     */
+    _syncWithQueryData = (data) => {
+        if (!data || typeof data !== 'object' || data === this._receivedData) return;
+        this._isLoaded = true;
+        this._isPersisted = true;
+        this._lazyLoad = false;
+        batch(() => {
+            this.data.withoutHistory(() => this.data.update(data));
             this._originalData.update(data);
-            this.onSuccessGetCallback(data);
-        } catch (error) {
-            console.log('Error: ', error);
-            this.onErrorGetCallback(error);
-        }
+            // The values of the optimistic mutations still running are kept
+            for (const pending of this._pendingMutations) {
+                this.data.withoutHistory(() => this.data.update(pending.changes));
+            }
+        });
     }
 
     /**
      * This function is used by the query to get the data of the entity
      * It can fetch the data from the API for the first time or fetch the data
      * from the _refreshedData attribute if it is setted (when some request API was performed)
+     * @param {Object} context The context of the query function. Its AbortSignal cancels the request
+     *                         when the query is cancelled, like when its last observer unmounts
      * @returns {Object} A raw version of the data of the entity
      */
-    _fetchData = async () => {
+    _fetchData = async ({ signal } = {}) => {
         this._isPersisted = true;
         if (this._refreshedData) {
             let tempData = this._refreshedData;
@@ -349,274 +1162,1517 @@ class Model {
                 ...tempData
             };
         }
-        return this.get();
+        return this.get({ signal });
     }
 
     /**
      * This function prepares the URL of the API service to be called
      * By default, uses the this.data.getObject of this entity, but can be overrided
      * in the child classes according to the special needes of the URL.
+     * With a single PRIMARY_KEY, its value can also be used as `:id` in the URL.
      */
     prepareURL(url) {
-        return ApiService.replaceUrlParams(url, this.data.getObject());
+        const values = this.data.getObject();
+        if (!this.constructor.isCompositeKey() && !('id' in values)) {
+            values.id = this.getId();
+        }
+        return replaceUrlParams(url, values);
+    }
+
+    /**
+     * Returns the config for a request of this entity to the endpoint, with its URL prepared
+     * @param {Object} endpoint The config of the endpoint
+     * @param {Object} options The options of the request. Its `signal` (AbortSignal) cancels the request
+     * @returns {Object} The config for the adapter
+     */
+    _prepareConfig(endpoint, options = {}) {
+        const config = { ...endpoint };
+        config.url = this.prepareURL(config.url);
+        if (options.signal) {
+            config.signal = options.signal;
+        }
+        return config;
     }
 
     /**
      * This function is in charge of fetching the data from the API according to
      * the id of this entity
+     * @param {Object} options
+     *                  - signal: AbortSignal to cancel the request
      */
-    async get() {
+    async get(options = {}) {
         if (!this.constructor.GET_ENDPOINT()) {
             throw new Error(`GET_ENDPOINT not defined on ${this.name}`);
         }
-        if (!this.data.id) {
+        if (!this.hasId()) {
             throw new Error('Cannot GET an entity without an ID');
         }
         
-        try {
-            let config = { ...this.constructor.GET_ENDPOINT() };
-            config.url = this.prepareURL(config.url);
-            const responseData = await ApiService.request({}, config);
-            this.onSuccessGetCallback(responseData.data);
-            return responseData.data[this.constructor.ENTITY_NAME];
-        } catch (error) {
-            this.onErrorGetCallback(error);
-        }
+        const config = this._prepareConfig(this.constructor.GET_ENDPOINT(), options);
+        const responseData = await this.request('get', {}, config);
+        return this.constructor.getSerializer().readEntity(this.constructor, responseData);
     }
 
     /**
      * This function modifies the structure of the data object to be sent for post service 
-     * @returns {Object} The data of the entity in object format
+     * @returns {Object} The data of the entity in the format of the API (see SERIALIZER)
      */
     prepareForPost() {
-        return this.data.getObject();
+        return this.constructor.getSerializer().serialize(this.constructor, this._getPostData(), { method: 'post' });
+    }
+
+    /**
+     * Returns the data to create the entity, before serializing it for the API
+     */
+    _getPostData() {
+        return this.data.serialize();
     }
 
     /**
      * This function is in charge of creating a new entity through the API
-     * 
+     * @param {Object} options
+     *                  - signal: AbortSignal to cancel the request
      */
-    async post() {
+    async post(options = {}) {
         if (!this.constructor.POST_ENDPOINT()) {
             throw new Error('POST_ENDPOINT not defined');
         }
-        if (this.data.id) {
-            throw new Error(`Cannot POST an entity that already has an ID: ${this.data.id} `);
+        // The attributes of a composite key are set before creating the entity
+        if (!this.constructor.isCompositeKey() && this.hasId()) {
+            throw new Error(`Cannot POST an entity that already has an ID: ${this.getId()} `);
+        }
+        this._assertValid('POST');
+        if (this._shouldQueueOffline()) {
+            return this._enqueueOffline('post');
         }
         try {
-            let config = { ...this.constructor.POST_ENDPOINT() };
-            config.url = this.prepareURL(config.url);
-            const responseData = await ApiService.request(this.prepareForPost(), config);
-            this._refreshedData = responseData.data[this.constructor.ENTITY_NAME];
-            this.data.id = this._refreshedData.id;
-            this.constructor.QueryClient.refetchQueries({
-                queryKey: [this.constructor.ENTITY_NAME, this.data.id]
+            const config = this._prepareConfig(this.constructor.POST_ENDPOINT(), options);
+            const responseData = await this.request('post', this.prepareForPost(), config);
+            this._refreshedData = this.constructor.getSerializer().readEntity(this.constructor, responseData);
+            this.data.update(this.constructor.idToData(this.constructor.extractId(this._refreshedData)));
+            this._rebaseOriginalData();
+            this.constructor.registerInstance(this._proxyThis);
+            this.getQueryClient().refetchQueries({
+                queryKey: this.constructor.getQueryKey(this.getId())
             });
             this._isPersisted = true;
-            this.onSuccessPostCallback(responseData.data);
+            this.constructor.notify('created', this._proxyThis);
+            this._emitSave('post', responseData);
             return responseData.data;
         } catch (error) {
-            this.onErrorPostCallback(error);
+            if (this._shouldQueueOffline(error)) {
+                return this._enqueueOffline('post');
+            }
+            this._setServerErrors(error);
+            throw error;
         }
     }
 
     /**
-     * This function modifies the structure of the data object to be sent for post service 
-     * @returns {Object} The data of the entity in object format
+     * This function modifies the structure of the data object to be sent for patch service.
+     * When PATCH_ONLY_CHANGES is enabled, only the changed attributes are included.
+     * @returns {Object} The data of the entity in the format of the API (see SERIALIZER)
      */
     prepareForPatch() {
-        return this.data.getObject();
+        return this.constructor.getSerializer().serialize(this.constructor, this._getPatchData(), {
+            method: 'patch',
+            id: this.getId(),
+        });
     }
 
     /**
-     * Saves the last changes of this entity through the API
+     * Returns the data to update the entity, before serializing it for the API
      */
-    async patch() {
+    _getPatchData() {
+        if (this.constructor.PATCH_ONLY_CHANGES) {
+            const attributes = Object.keys(this.changes.peek());
+            const version = this.constructor.VERSION;
+            if (version in this.data.attributesConfig && !attributes.includes(version)) {
+                attributes.push(version);
+            }
+            return this.data.serialize(attributes);
+        }
+        return this.data.serialize();
+    }
+
+    /**
+     * Saves the last changes of this entity through the API.
+     * When PATCH_ONLY_CHANGES is enabled and nothing changed, no request is performed and it returns null.
+     * @param {Object} options
+     *                  - changes: Values to set to the attributes before saving
+     *                  - optimistic: Applies the changes to the QueryClient cache before the response arrives,
+     *                                and rolls them back if the request fails. OPTIMISTIC by default
+     *                  - onConflict: How to resolve a conflict with the server version. CONFLICT_STRATEGY by default
+     *                  - signal: AbortSignal to cancel the request
+     */
+    async patch(options = {}) {
         if (!this.constructor.PATCH_ENDPOINT()) {
             throw new Error('PATCH_ENDPOINT not defined');
         }
-        if (!this.data.id) {
+        if (!this.hasId()) {
             throw new Error('Cannot PATCH an entity without an ID');
         }
+        if (options.changes) {
+            this.data.update(options.changes);
+        }
+        if (this.constructor.PATCH_ONLY_CHANGES && !this.isDirty.peek()) {
+            return null;
+        }
+        this._assertValid('PATCH');
+        if (this._shouldQueueOffline()) {
+            return this._enqueueOffline('patch');
+        }
+
+        const optimistic = options.optimistic ?? this.constructor.OPTIMISTIC;
+        const mutation = optimistic ? this._startOptimisticPatch() : null;
         try {
-            let config = { ...this.constructor.PATCH_ENDPOINT() };
-            config.url = this.prepareURL(config.url);
-            const responseData = await ApiService.request(this.prepareForPatch(), config);
-
-            let refreshedData = responseData.data[this.constructor.ENTITY_NAME];
-            if (refreshedData && typeof refreshedData === 'object') {
-                this._refreshedData = responseData.data[this.constructor.ENTITY_NAME];
-                this.constructor.QueryClient.refetchQueries({
-                    queryKey: [this.constructor.ENTITY_NAME, this.data.id]
+            const config = this._prepareConfig(this.constructor.PATCH_ENDPOINT(), options);
+            const responseData = await this.request('patch', this.prepareForPatch(), config);
+            if (mutation) {
+                this._confirmOptimisticPatch(mutation);
+            } else {
+                this._rebaseOriginalData();
+            }
+
+            // With other optimistic mutations still running, the response is outdated,
+            // so the data is refreshed when the last of them finishes
+            let refreshedData = this.constructor.getSerializer().readEntity(this.constructor, responseData);
+            if (refreshedData && typeof refreshedData === 'object' && !this._pendingMutations.length) {
+                this._refreshedData = refreshedData;
+                this.getQueryClient().refetchQueries({
+                    queryKey: this.constructor.getQueryKey(this.getId())
                 });
             }
 
-            this.onSuccessPatchCallback(responseData.data);
+            this.constructor.notify('updated', this._proxyThis);
+            this._emitSave('patch', responseData);
             return responseData.data;
         } catch (error) {
-            this.onErrorPatchCallback(error);
+            if (this._shouldQueueOffline(error)) {
+                if (mutation) {
+                    this._confirmOptimisticPatch(mutation);
+                }
+                return this._enqueueOffline('patch');
+            }
+            // On a conflict or a cancellation the local changes are kept, only the cache is rolled back
+            if (mutation && (this._isConflict(error) || isAbortError(error))) {
+                this._pendingMutations = this._pendingMutations.filter((pending) => pending !== mutation);
+                this._updateOptimisticCache();
+            } else if (mutation) {
+                this._rollbackOptimisticPatch(mutation);
+            }
+            if (this._isConflict(error)) {
+                return this._resolveConflict(error, options);
+            }
+            this._setServerErrors(error);
+            throw error;
         }
     }
 
     /**
-     * Deletes this entity through the API
+     * Creates the entity through the API if it is not persisted yet, or saves its changes otherwise
+     * @param {Object} options
+     *                  - changes: Values to set to the attributes before saving
+     *                  - The rest of the options of patch(), when the entity is persisted
      */
-    async delete() {
-        if (!this.constructor.DELETE_ENDPOINT()) {
-            throw new Error('DELETE_ENDPOINT not defined');
-        }
-        if (!this.data.id) {
-            throw new Error('Cannot DELETE an entity without an ID');
+    async save(options = {}) {
+        if (this._getSaveMethod() === 'patch') {
+            return this.patch(options);
         }
-
-        try {
-            let config = { ...this.constructor.DELETE_ENDPOINT() };
-            config.url = this.prepareURL(config.url);
-            let responseData = await ApiService.request({}, config);
-            this.constructor.QueryClient.removeQueries([this.constructor.ENTITY_NAME, this.data.id]);
-            this.onSuccessDeleteCallback(responseData.data);
-            return responseData.data;
-        } catch (error) {
-            this.onErrorDeleteCallback(error);
+        if (options.changes) {
+            this.data.update(options.changes);
         }
+        return this.post(options);
     }
 
     /**
-     * This function turn back to the original values of the entity
+     * Returns the method that saves the entity: patch when it is persisted, post otherwise
      */
-    restore() {
-        this.data.update(this._originalData.getObject());
+    _getSaveMethod = () => {
+        return this.isPersisted && this.hasId() ? 'patch' : 'post';
     }
 
     /**
-     * This function compares the ID of the entity passed as parameter with the ID of this entity
-     * @param {Model} model The model to compare with this entity
-     * @returns {boolean} True if the ID of the entity passed as parameter is the same as this entity
+     * Returns the attributes changed both locally and in the server version since the original data,
+     * to different values. The attributes changed only on one side are not conflicts.
+     * @param {Object} serverData A raw version of the data of the entity in the server
+     * @returns {Object} The conflicts by attribute: { attribute: { original, local, server } }
      */
-    compare(model) {
-        if (model instanceof this.constructor) {
-            return this.data.id === model.data.id;
+    getConflicts(serverData) {
+        const serverModel = new DataModel(this.data.attributesConfig, this._proxyThis);
+        serverModel.update(this._originalData.getObject());
+        serverModel.update(serverData);
+        const localChanges = this.changes.peek();
+        const serverChanges = serverModel.diff(this._originalData);
+        const conflicts = {};
+        for (const attribute in localChanges) {
+            if (!(attribute in serverChanges)) continue;
+            if (DataModel.areEqualValues(localChanges[attribute].new, serverChanges[attribute].new)) continue;
+            conflicts[attribute] = {
+                original: localChanges[attribute].old,
+                local: localChanges[attribute].new,
+                server: serverChanges[attribute].new,
+            };
         }
-        return false;
+        return conflicts;
     }
 
     /**
-     * This function returns the proxy object that wraps this instance
+     * Returns true if the request failed because the entity changed in the server since its version
      */
-    getInstance() {
-        return this._proxyThis;
+    _isConflict = (error) => {
+        return error instanceof ConflictError;
     }
 
-    toString() {
-        return String(this.data.id);
+    /**
+     * Resolves a conflict of patch() with the strategy of the options or the CONFLICT_STRATEGY.
+     * The server version is read from the body of the error response, or fetched again if it is empty.
+     * After resolving it, the changes are sent once more; a second conflict is thrown.
+     * @param {Error} error The error of the request
+     * @param {Object} options The options of patch()
+     */
+    _resolveConflict = async (error, options) => {
+        // The version of the server is only taken when the conflict is resolved
+        const etag = this._etag;
+        const reject = () => {
+            this._etag = etag;
+            throw error;
+        };
+        this._readVersion(error.response);
+        let serverData = this.constructor.getSerializer().readEntity(this.constructor, error.response);
+        const hasAttributes = (data) => Object.keys(this.data.attributesConfig)
+            .some((attribute) => this.data.readAttribute(data, attribute) !== undefined);
+        if (!hasAttributes(serverData)) {
+            serverData = await this.get({ signal: options.signal });
+        }
+        const conflicts = this.getConflicts(serverData);
+        error.conflicts = conflicts;
+        error.serverData = serverData;
+
+        const strategy = options.onConflict ?? this.constructor.CONFLICT_STRATEGY;
+        if (strategy === 'server') {
+            this._syncWithQueryData(serverData);
+            this.getQueryClient().setQueryData(this.constructor.getQueryKey(this.getId()), this.toJSON());
+            return null;
+        }
+        let values = {};
+        if (typeof strategy === 'function') {
+            values = await strategy(conflicts, this._proxyThis);
+            if (!values) reject();
+        } else if (strategy !== 'client') {
+            reject();
+        }
+
+        const localChanges = {};
+        const changes = this.changes.peek();
+        for (const attribute in changes) {
+            localChanges[attribute] = changes[attribute].new;
+        }
+        batch(() => {
+            this._syncWithQueryData(serverData);
+            this.data.withoutHistory(() => this.data.update({ ...localChanges, ...values }));
+        });
+        return this.patch({ ...options, changes: null, onConflict: 'error' });
     }
 
-    toJSON() {
-        return this.data.getObject();
+    /**
+     * Keeps the ETag of a response, to send it back when VERSION is 'etag'
+     */
+    _readVersion = (response) => {
+        const etag = response?.headers?.etag ?? response?.headers?.ETag;
+        if (etag) {
+            this._etag = etag;
+        }
     }
 
-    setOnAnySuccessCallback(callback) {
-        this.onSuccessGetCallback = callback;
-        this.onSuccessPostCallback = callback;
-        this.onSuccessPatchCallback = callback;
-        this.onSuccessDeleteCallback = callback;
+    /**
+     * Registers the current changes as a pending optimistic mutation and applies them to the cache
+     * @returns {Object} The pending mutation: { changes }
+     */
+    _startOptimisticPatch = () => {
+        const changes = {};
+        const currentChanges = this.changes.peek();
+        for (const attribute in currentChanges) {
+            changes[attribute] = currentChanges[attribute].new;
+        }
+        const mutation = { changes };
+        this._pendingMutations.push(mutation);
+        this._updateOptimisticCache();
+        return mutation;
     }
 
-    setOnAnyErrorCallback(callback) {
-        this.onErrorGetCallback = callback;
-        this.onErrorPostCallback = callback;
-        this.onErrorPatchCallback = callback;
-        this.onErrorDeleteCallback = callback;
+    /**
+     * Takes the values of the successful mutation as confirmed by the server
+     */
+    _confirmOptimisticPatch = (mutation) => {
+        this._pendingMutations = this._pendingMutations.filter((pending) => pending !== mutation);
+        batch(() => {
+            for (const attribute in mutation.changes) {
+                this._originalData[attribute] = mutation.changes[attribute];
+            }
+        });
     }
 
     /**
-     * Gets the entity usting the ID passing as parameter and returns a new instance of the entity
-     * @returns {this} The entity with the ID passed as parameter
+     * Rolls back the values of the failed mutation. The attributes take the confirmed value,
+     * or the value of the mutations still running that changed them after this one
      */
-    static async select(id) {
-        let newEntity = new this({ id: id });
-        await newEntity.get();
+    _rollbackOptimisticPatch = (mutation) => {
+        this._pendingMutations = this._pendingMutations.filter((pending) => pending !== mutation);
+        batch(() => {
+            for (const attribute in mutation.changes) {
+                // Only if the attribute was not edited again after the mutation started
+                if (!DataModel.areEqualValues(this.data[attribute], mutation.changes[attribute])) continue;
+                this.data.withoutHistory(() => { this.data[attribute] = this._getPendingValue(attribute); });
+            }
+        });
+        this._updateOptimisticCache();
     }
 
     /**
-     * Gets the list of the entities of this type through the API
-     * @param {Object} filters The filters to be applied to the list
-     *                       - order: {
-     *                          column: The column to order by
-     *                          dir: The direction of the order
-     *                         }
-     *                       - search: {
-     *                          value: The term to search
-     *                         }
-     *                       - length: The number of items to return
-     *                       - start: The index of the first item to return   
+     * Returns the value of the attribute according to the confirmed data and the running mutations
      */
-    static async list(filters) {
-        if (!this.LIST_ENDPOINT()) {
-            throw new Error(`LIST_ENDPOINT not defined on ${this.name}`);
+    _getPendingValue = (attribute) => {
+        let value = this._originalData[attribute];
+        for (const pending of this._pendingMutations) {
+            if (attribute in pending.changes) {
+                value = pending.changes[attribute];
+            }
         }
-        const responseData = await ApiService.request(filters, this.LIST_ENDPOINT());
-        const returnedList = responseData.data[this.LIST_NAME].map((item) => new this(item));
-        return {
-            list: returnedList,
-            recordsTotal: responseData.data.recordsTotal,
-            recordsFiltered: responseData.data.recordsFiltered,
-        };
+        return value;
     }
 
     /**
-     * Casts the value to the type of this entity
+     * Sets the confirmed data with the changes of the running mutations in the cache
      */
-    static cast(value) {
-        if (value instanceof this) {
-            return value;
-        } else if (value instanceof Object) {
-            return new this(value);
-        } else if (typeof value === 'number') {
-            return new this({ id: value });
-        } else {
-            throw new Error(`Invalid value for ${this.name} cast`, value);
+    _updateOptimisticCache = () => {
+        const pendingAttributes = [...new Set(this._pendingMutations.flatMap((pending) => Object.keys(pending.changes)))];
+        const queryKey = this.constructor.getQueryKey(this.getId());
+        this.getQueryClient().setQueryData(queryKey, (cachedData) => {
+            const optimisticData = { ...cachedData, ...this._originalData.serialize() };
+            for (const attribute of pendingAttributes) {
+                Object.assign(optimisticData, this.data.serialize([attribute]));
+            }
+            return optimisticData;
+        });
+    }
+
+    /**
+     * Deletes this entity through the API
+     * @param {Object} options
+     *                  - optimistic: Removes the entity from the cache and the collections before the
+     *                                response arrives, and restores it if the request fails. OPTIMISTIC by default
+     *                  - signal: AbortSignal to cancel the request
+     */
+    async delete(options = {}) {
+        if (!this.constructor.DELETE_ENDPOINT()) {
+            throw new Error('DELETE_ENDPOINT not defined');
+        }
+        if (!this.hasId()) {
+            throw new Error('Cannot DELETE an entity without an ID');
+        }
+
+        if (this._shouldQueueOffline()) {
+            return this._enqueueOffline('delete');
+        }
+
+        const optimistic = options.optimistic ?? this.constructor.OPTIMISTIC;
+        const queryClient = this.getQueryClient();
+        let snapshot = null;
+        if (optimistic) {
+            snapshot = {
+                entity: queryClient.getQueryData(this.constructor.getQueryKey(this.getId())),
+                lists: queryClient.getQueriesData({ queryKey: this.constructor.getListQueryKey() }),
+            };
+            this._removeDeleted();
+        }
+
+        try {
+            const config = this._prepareConfig(this.constructor.DELETE_ENDPOINT(), options);
+            let responseData = await this.request('delete', {}, config);
+            if (!optimistic) {
+                this._removeDeleted();
+            }
+            this._emitSave('delete', responseData);
+            return responseData.data;
+        } catch (error) {
+            if (this._shouldQueueOffline(error)) {
+                return this._enqueueOffline('delete');
+            }
+            if (snapshot) {
+                if (snapshot.entity !== undefined) {
+                    queryClient.setQueryData(this.constructor.getQueryKey(this.getId()), snapshot.entity);
+                }
+                snapshot.lists.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+                this.constructor.registerInstance(this._proxyThis);
+            }
+            throw error;
         }
     }
 
     /**
-     * Returns or assign a value to a nested property of the given object.
+     * Returns true when the mutation must be queued in the OFFLINE_QUEUE instead of sent:
+     * when there is no connection, when the request failed because of the connection, or when
+     * the entity was created offline and it is still waiting to be sent
+     * @param {Error} error The error of the request, if it was already sent
      */
-    static nestedProperty(object, rute, value) {
-        const parts = rute.replace(/\[(\w+)\]/g, '.$1').split('.');
-        const lastPart = parts.pop();
+    _shouldQueueOffline = (error = null) => {
+        const queue = this.constructor.OFFLINE_QUEUE;
+        if (!queue) return false;
+        if (error) return queue.isNetworkError(error);
+        return !queue.isOnline() || (this.hasId() && queue.isTemporaryId(this.getId()));
+    }
 
-        let lastObject = object;
-        for (let i = 0; i < parts.length; i++) {
-            if (lastObject === undefined) {
-                return undefined;
+    /**
+     * Queues the mutation in the OFFLINE_QUEUE and applies it locally as if it was sent.
+     * Entities created offline get a temporary ID until the server assigns the real one.
+     * @param {string} method The mutation: post, patch or delete
+     * @returns {Promise<null>} Resolves when the mutation is persisted in the queue
+     */
+    _enqueueOffline = async (method) => {
+        const queue = this.constructor.OFFLINE_QUEUE;
+        const queryClient = this.getQueryClient();
+        let data = {};
+        if (method === 'post') {
+            // The queue keeps the data of the model, it is serialized for the API when it is sent
+            data = this._getPostData();
+            // The attributes of a composite key are known before creating the entity
+            if (!this.constructor.isCompositeKey()) {
+                const [key] = this.constructor.getPrimaryKeys();
+                delete data[key];
+                this.data[key] = queue.createTemporaryId();
             }
-            lastObject = lastObject[parts[i]];
+            this.constructor.registerInstance(this._proxyThis);
+        } else if (method === 'patch') {
+            data = this._getPatchData();
         }
 
-        if (value !== undefined && lastObject !== undefined && lastPart in lastObject) {
-            lastObject[lastPart] = value;
+        await queue.enqueue(this.constructor, { method, id: this.getId(), data });
+
+        if (method === 'delete') {
+            this._removeDeleted();
         } else {
-            return lastObject ? lastObject[lastPart] : undefined;
+            this._rebaseOriginalData();
+            queryClient.setQueryData(this.constructor.getQueryKey(this.getId()), this.toJSON());
+            this.constructor.notify(method === 'post' ? 'created' : 'updated', this._proxyThis);
         }
+        return null;
     }
 
     /**
-     * Finds the model in the list passed as parameter
-     * @param {Array} list The list to search the model
-     * @param {Model} model The model to find in the list
+     * Replaces the ID of the entity, in the identity map and in the cache too.
+     * It is used when the server assigns the ID of an entity created offline.
+     * @param {number|string} id The new ID. Entities with a composite key do not get temporary IDs
      */
-    static findInList(list, model) {
-        return list.find((item) => item.id === model.id);
+    _replaceId = (id) => {
+        const previousId = this.getId();
+        const [key] = this.constructor.getPrimaryKeys();
+        const queryClient = this.getQueryClient();
+        const cachedData = queryClient.getQueryData(this.constructor.getQueryKey(previousId));
+        this.constructor.releaseInstance(previousId, queryClient);
+        batch(() => {
+            this.data.getProperty(key).value = null;
+            this.data[key] = id;
+            this._originalData.getProperty(key).value = null;
+            this._originalData[key] = id;
+        });
+        this._isPersisted = true;
+        this.constructor.registerInstance(this._proxyThis);
+        queryClient.removeQueries({ queryKey: this.constructor.getQueryKey(previousId) });
+        if (cachedData !== undefined) {
+            queryClient.setQueryData(this.constructor.getQueryKey(id), { ...cachedData, [key]: id });
+        }
     }
 
     /**
-     * Finds the model in the list passed as parameter
-     * @param {Array} list The list to search the model
-     * @param {number} id The ID of the model to find in the list
+     * Removes the deleted entity from the cache, the identity map and the collections
+     */
+    _removeDeleted = () => {
+        this.getQueryClient().removeQueries({ queryKey: this.constructor.getQueryKey(this.getId()) });
+        this.constructor.releaseInstance(this.getId(), this.getQueryClient());
+        this.constructor.notify('deleted', this._proxyThis);
+    }
+
+    /**
+     * Loads the data of the entity through the GET_ENDPOINT (or the cache) only once.
+     * @returns {Promise} Resolves when the data is loaded
+     */
+    load() {
+        this._lazyLoad = false;
+        if (this._isLoaded) return Promise.resolve();
+        if (!this._loadPromise) {
+            this._loadPromise = this.fetchQuery().finally(() => {
+                this._loadPromise = null;
+            });
+        }
+        return this._loadPromise;
+    }
+
+    /**
+     * Makes the entity load its data as soon as any attribute other than the ID is read
+     */
+    enableLazyLoad() {
+        if (!this._isLoaded && this.hasId() && this.constructor.GET_ENDPOINT()) {
+            this._lazyLoad = true;
+        }
+    }
+
+    /**
+     * Loads the related entities of a relation attribute that were received only by ID
+     * @param {string} attribute The name of the relation attribute
+     * @returns {Promise} Resolves when all the related entities are loaded
+     */
+    async loadRelation(attribute) {
+        const related = this.data[attribute];
+        const instances = Array.isArray(related) ? related : [related];
+        await Promise.all(instances.filter((instance) => instance?.load).map((instance) => instance.load()));
+        return related;
+    }
+
+    /**
+     * Validates the data of the entity according to the ATTRIBUTES_CONFIG.
+     * The errors are available in the `errors` signals of each attribute.
+     * @returns {boolean} True if the entity is valid
+     */
+    validate() {
+        return this.data.validate();
+    }
+
+    /**
+     * Throws an error if the entity is not valid, to avoid sending it to the API
+     * @param {string} method The name of the method that is going to be performed
+     */
+    _assertValid = (method) => {
+        if (this.validate()) return;
+        const errors = this.data.getErrors();
+        throw new ValidationError(`Cannot ${method} an invalid entity. Invalid attributes: ${Object.keys(errors).join(', ')}`, { errors });
+    }
+
+    /**
+     * Shows the validation errors returned by the server in the errors signals of the attributes
+     * @param {Error} error The error of the request
+     */
+    _setServerErrors = (error) => {
+        if (error instanceof ValidationError && error.response) {
+            this.data.setErrors(error.errors);
+        }
+    }
+
+    /**
+     * This function turn back to the original values of the entity
+     */
+    restore() {
+        this.data.update(this._originalData.getObject());
+    }
+
+    /**
+     * Reverts the last change of the history. The history must be enabled with HISTORY
+     * @returns {boolean} True if there was a change to undo
+     */
+    undo() {
+        return this.data.undo();
+    }
+
+    /**
+     * Applies again the last undone change
+     * @returns {boolean} True if there was a change to redo
+     */
+    redo() {
+        return this.data.redo();
+    }
+
+    /**
+     * Performs several changes as one step of the history
+     * @param {Function} callback The function that changes the attributes
+     */
+    transaction(callback) {
+        return this.data.transaction(callback);
+    }
+
+    /**
+     * This function compares the ID of the entity passed as parameter with the ID of this entity
+     * @param {Model} model The model to compare with this entity
+     * @returns {boolean} True if the ID of the entity passed as parameter is the same as this entity
+     */
+    compare(model) {
+        if (model instanceof this.constructor) {
+            return this.constructor.compareIds(this.getId(), model.getId());
+        }
+        return false;
+    }
+
+    /**
+     * Returns the ID of the entity: the value of the PRIMARY_KEY, or an object with the value
+     * of each attribute for composite keys
+     * @returns {number|string|Object|null} The ID, or null if it is not set
+     */
+    getId() {
+        return this.constructor.extractId(this.data) ?? null;
+    }
+
+    /**
+     * Returns true if all the attributes of the primary key have a value
+     */
+    hasId() {
+        return this.getId() !== null;
+    }
+
+    /**
+     * Returns the QueryClient used by this instance
+     * @returns {QueryClient} The QueryClient passed on the options, or the static QueryClient
+     */
+    getQueryClient() {
+        return this._queryClient ?? this.constructor.QueryClient;
+    }
+
+    /**
+     * This function returns the proxy object that wraps this instance
+     */
+    getInstance() {
+        return this._proxyThis;
+    }
+
+    toString() {
+        const id = this.getId();
+        if (id !== null && typeof id === 'object') {
+            return this.constructor.getPrimaryKeys().map((key) => id[key]).join(',');
+        }
+        return String(id);
+    }
+
+    toJSON() {
+        return { ...this.data.serialize(), ...this.data.getIncludedComputed() };
+    }
+
+    /**
+     * Calls the function every time the attribute (or computed value) changes
+     * @param {string} attribute The name of the attribute or the computed value
+     * @param {Function} callback Receives the new value, the previous value and the model
+     * @param {Object} options
+     *                  - immediate: Also call it with the current value right away
+     * @returns {Function} The function to stop watching
+     */
+    watch(attribute, callback, options = {}) {
+        const source = this.data.getProperty(attribute) ?? this.data.getComputed(attribute);
+        if (!source) {
+            throw new Error(`Unknown attribute ${attribute} on ${this.constructor.name}`);
+        }
+        return this._addWatcher(() => {
+            let previous = source.peek();
+            let isFirstRun = true;
+            return effect(() => {
+                const value = source.value;
+                if (isFirstRun) {
+                    isFirstRun = false;
+                    if (!options.immediate) return;
+                }
+                const oldValue = previous;
+                previous = value;
+                // The signals read by the callback do not trigger the watcher again
+                untracked(() => callback(value, oldValue, this._proxyThis));
+            });
+        });
+    }
+
+    /**
+     * Runs the function now, and again every time any of the signals it reads changes
+     * @param {Function} callback Receives the model. It can return a cleanup function
+     * @returns {Function} The function to stop the effect
+     */
+    effect(callback) {
+        return this._addWatcher(() => effect(() => callback(this._proxyThis)));
+    }
+
+    /**
+     * Stops all the watchers and effects of this instance
+     */
+    dispose() {
+        this._stopWatchers();
+        this._watchers = [];
+    }
+
+    _addWatcher(start) {
+        const watcher = { start, stop: null };
+        this._watchers.push(watcher);
+        if (this._watchersActive) {
+            watcher.stop = start();
+        }
+        return () => {
+            watcher.stop?.();
+            this._watchers = this._watchers.filter((item) => item !== watcher);
+        };
+    }
+
+    _stopWatchers() {
+        this._watchersActive = false;
+        this._watchers.forEach((watcher) => {
+            watcher.stop?.();
+            watcher.stop = null;
+        });
+    }
+
+    _startWatchers() {
+        if (this._watchersActive) return;
+        this._watchersActive = true;
+        this._watchers.forEach((watcher) => {
+            watcher.stop = watcher.start();
+        });
+    }
+
+    /**
+     * @deprecated Use a middleware with an afterResponse hook instead
+     */
+    setOnAnySuccessCallback(callback) {
+        return this.use({ afterResponse: (response) => { callback(response.data); } });
+    }
+
+    /**
+     * @deprecated Use a middleware with an onError hook instead
+     */
+    setOnAnyErrorCallback(callback) {
+        return this.use({ onError: (error) => { callback(error); } });
+    }
+
+    /**
+     * Adds a middleware to this instance. It runs after the global and the class middleware
+     * @param {Object} middleware The middleware (see Middleware.js)
+     * @returns {Function} The function to remove the middleware
+     */
+    use(middleware) {
+        this._middleware = [...this._middleware, middleware];
+        return () => {
+            this._middleware = this._middleware.filter((item) => item !== middleware);
+        };
+    }
+
+    /**
+     * Adds the middleware of the constructor options that the instance does not have yet.
+     * The middleware of the deprecated callbacks replaces the previous one.
+     */
+    _addOptionsMiddleware(options) {
+        const callbacks = this.constructor._callbacksMiddleware(options);
+        const middleware = this._middleware.filter((item) => !callbacks || item !== this._callbacks);
+        for (const item of options.middleware ?? []) {
+            if (!middleware.includes(item)) middleware.push(item);
+        }
+        if (callbacks) {
+            middleware.push(callbacks);
+            this._callbacks = callbacks;
+        }
+        this._middleware = middleware;
+    }
+
+    /**
+     * Returns the middleware that apply to this instance: the global ones, the ones of its class and its own
+     * @returns {Array<Object>} The middleware, in order
+     */
+    getMiddleware() {
+        return [...this.constructor.getMiddleware(), ...this._middleware];
+    }
+
+    /**
+     * Sends a request of this entity through the adapter and the middleware
+     * @param {string} method The method of the entity that performs the request: get, post, patch or delete
+     * @param {Object} data The data to send
+     * @param {Object} config The config of the endpoint
+     * When VERSION is 'etag', the ETag of the responses is kept and sent in If-Match by patch and delete.
+     * @returns {Promise<Object>} The response: { data, status, headers }
+     */
+    async request(method, data, config) {
+        if (this.constructor.VERSION === 'etag' && this._etag && ['patch', 'delete'].includes(method)) {
+            config = { ...config, headers: { ...config.headers, 'If-Match': this._etag } };
+        }
+        const response = await this.constructor.request(method, data, config, this._proxyThis);
+        this._readVersion(response);
+        return response;
+    }
+
+    /**
+     * Emits the change of an attribute to the middleware
+     */
+    _emitChange(attribute, value, previous) {
+        if (!this._emitChanges) return;
+        emitEvent(this.getMiddleware(), 'onChange', { model: this._proxyThis, attribute, value, previous });
+    }
+
+    /**
+     * Emits that the entity was persisted to the middleware
+     */
+    _emitSave(method, response) {
+        emitEvent(this.getMiddleware(), 'onSave', { model: this._proxyThis, method, response });
+    }
+
+    /**
+     * Returns the attributes of the primary key
+     * @returns {Array<string>} The names of the attributes
+     */
+    static getPrimaryKeys() {
+        return Array.isArray(this.PRIMARY_KEY) ? this.PRIMARY_KEY : [this.PRIMARY_KEY];
+    }
+
+    static isCompositeKey() {
+        return this.getPrimaryKeys().length > 1;
+    }
+
+    static isPrimaryKey(attribute) {
+        return this.getPrimaryKeys().includes(attribute);
+    }
+
+    /**
+     * Reads the ID from the raw data of an entity
+     * @param {Object} data The raw data, like an API payload
+     * @returns {number|string|Object|undefined} The ID, or undefined if any attribute of the key is missing
+     */
+    static extractId(data) {
+        if (!data || typeof data !== 'object') return undefined;
+        const keys = this.getPrimaryKeys();
+        const values = keys.map((key) => data[key]);
+        if (values.some((value) => value === undefined || value === null)) return undefined;
+        if (keys.length === 1) return values[0];
+        return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+    }
+
+    /**
+     * Transforms an ID into the data of the attributes of the primary key
+     * @param {number|string|Object} id The ID. For composite keys, an object with the value of each attribute
+     * @returns {Object} The data: { [PRIMARY_KEY]: id }
+     */
+    static idToData(id) {
+        if (this.isCompositeKey()) {
+            const data = {};
+            for (const key of this.getPrimaryKeys()) {
+                data[key] = id?.[key];
+            }
+            return data;
+        }
+        return { [this.PRIMARY_KEY]: id };
+    }
+
+    /**
+     * Transforms the ID to the types of the attributes of the primary key,
+     * so an ID received from an URL or an input matches the ID of the instances
+     * @param {number|string|Object} id The ID
+     * @returns {number|string|Object} The ID with the values coerced
+     */
+    static normalizeId(id) {
+        if (id === undefined || id === null) return id;
+        const coerce = (key, value) => {
+            const config = this.ATTRIBUTES_CONFIG[key] ?? {};
+            const type = config.type ? DataModel.ATTRIBUTE_TYPES[config.type] : null;
+            if (value === undefined || value === null) return value;
+            return type ? type.coerce(value, config) : DataModel.coerceKey(value);
+        };
+        if (this.isCompositeKey()) {
+            return Object.fromEntries(this.getPrimaryKeys().map((key) => [key, coerce(key, id?.[key])]));
+        }
+        return coerce(this.PRIMARY_KEY, id);
+    }
+
+    /**
+     * Returns true if both IDs identify the same entity
+     */
+    static compareIds(a, b) {
+        if (a === undefined || a === null || b === undefined || b === null) return false;
+        return this._identityKey(a) === this._identityKey(b);
+    }
+
+    /**
+     * Returns the key of the query that holds the data of a single entity
+     * @param {number} id The ID of the entity
+     * @returns {Array} The query key
+     */
+    static getQueryKey(id) {
+        return [this.ENTITY_NAME, this.normalizeId(id)];
+    }
+
+    /**
+     * Returns the key of the query that holds a list of entities.
+     * Without filters, it can be used to match every list query of this entity.
+     * @param {Object} filters The filters applied to the list
+     * @returns {Array} The query key
+     */
+    static getListQueryKey(filters) {
+        const queryKey = [this.ENTITY_NAME, 'list'];
+        if (filters !== undefined) queryKey.push(filters);
+        return queryKey;
+    }
+
+    /**
+     * Returns the identity map of this entity for the given QueryClient: the instances by ID.
+     * Each subclass has its own map for each QueryClient, so the requests of a server do not share instances.
+     * The instances are released when no query of the QueryClient references them anymore: neither
+     * the query of their ID nor a list (after they are garbage-collected), or right after a delete.
+     * @param {QueryClient} queryClient The QueryClient of the instances. The static QueryClient by default
+     * @returns {Map} The instances by ID
+     */
+    static getIdentityMap(queryClient = this.QueryClient) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_identityMaps')) {
+            this._identityMaps = new WeakMap();
+        }
+        if (!this._identityMaps.has(queryClient)) {
+            this._identityMaps.set(queryClient, new Map());
+            queryClient.getQueryCache().subscribe((event) => {
+                const [entity, id] = event.query.queryKey;
+                if (event.type !== 'removed' || entity !== this.ENTITY_NAME) return;
+                const ids = id === 'list'
+                    ? this._getListItems(event.query.state.data).map((item) => this._getItemId(item))
+                    : [id];
+                for (const removedId of ids) {
+                    if (!this._isReferenced(removedId, queryClient)) {
+                        this.releaseInstance(removedId, queryClient);
+                    }
+                }
+            });
+        }
+        return this._identityMaps.get(queryClient);
+    }
+
+    /**
+     * Returns the entities of the data of a list query: a list ({ list }) or the pages of a collection ({ pages })
+     */
+    static _getListItems(data) {
+        const lists = data?.pages ? data.pages.map((page) => page?.list) : [data?.list];
+        return lists.flatMap((list) => (Array.isArray(list) ? list : []));
+    }
+
+    /**
+     * Returns the ID of an entity of a list, that can be an instance or its data (after the hydration)
+     */
+    static _getItemId(item) {
+        return item instanceof Model ? item.getId() : this.extractId(item);
+    }
+
+    /**
+     * Returns true if a query of the QueryClient still references the entity: the query of its ID or a list
+     * @param {number} id The ID of the entity
+     * @param {QueryClient} queryClient The QueryClient of the queries
+     */
+    static _isReferenced(id, queryClient) {
+        const key = this._identityKey(id);
+        return queryClient.getQueryCache().findAll({ queryKey: [this.ENTITY_NAME] }).some((query) => {
+            const [, second] = query.queryKey;
+            if (second === 'list') {
+                return this._getListItems(query.state.data).some((item) => this._identityKey(this._getItemId(item)) === key);
+            }
+            return query.queryKey.length === 2 && this._identityKey(second) === key;
+        });
+    }
+
+    /**
+     * Returns the key used in the identity map for the given ID
+     */
+    static _identityKey(id) {
+        const normalized = this.normalizeId(id);
+        if (normalized && typeof normalized === 'object') {
+            return JSON.stringify(this.getPrimaryKeys().map((key) => String(normalized[key])));
+        }
+        return String(normalized);
+    }
+
+    /**
+     * Returns the existing instance of this entity for the given ID
+     * @param {number} id The ID of the entity
+     * @param {QueryClient} queryClient The QueryClient of the instance. The static QueryClient by default
+     * @returns {Model|undefined} The instance, if there is one
+     */
+    static findInstance(id, queryClient = this.QueryClient) {
+        if (!this.IDENTITY_MAP || id === undefined || id === null) return undefined;
+        return this.getIdentityMap(queryClient).get(this._identityKey(id));
+    }
+
+    /**
+     * Adds the instance to the identity map of its QueryClient, if it has an ID
+     * @param {Model} instance The instance to register
+     */
+    static registerInstance(instance) {
+        const id = instance.getId();
+        if (!this.IDENTITY_MAP || id === undefined || id === null) return;
+        this.getIdentityMap(instance.getQueryClient()).set(this._identityKey(id), instance);
+        instance._startWatchers();
+    }
+
+    /**
+     * Removes the instance of the given ID from the identity map, and stops its watchers and effects.
+     * The next time the entity is requested, a new instance is created.
+     * @param {number} id The ID of the entity
+     * @param {QueryClient} queryClient The QueryClient of the instance. The static QueryClient by default
+     */
+    static releaseInstance(id, queryClient = this.QueryClient) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_identityMaps')) return;
+        const identityMap = this._identityMaps.get(queryClient);
+        const key = this._identityKey(id);
+        identityMap?.get(key)?._stopWatchers();
+        identityMap?.delete(key);
+    }
+
+    /**
+     * Removes all the instances of this entity from the identity map
+     * @param {QueryClient} queryClient The QueryClient of the instances. The static QueryClient by default
+     */
+    static clearIdentityMap(queryClient = this.QueryClient) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_identityMaps')) return;
+        const identityMap = this._identityMaps.get(queryClient);
+        identityMap?.forEach((instance) => instance._stopWatchers());
+        identityMap?.clear();
+    }
+
+    /**
+     * Subscribes to the changes persisted through the API for the entities of this class
+     * @param {Function} listener It receives the type of change (created, updated or deleted) and the instance
+     * @returns {Function} The function to unsubscribe
+     */
+    static subscribe(listener) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_listeners')) {
+            this._listeners = new Set();
+        }
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Notifies the listeners of this class about a change persisted through the API
+     * @param {string} type The type of change: created, updated or deleted
+     * @param {Model} instance The changed instance
+     */
+    static notify(type, instance) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_listeners')) return;
+        this._listeners.forEach((listener) => listener(type, instance));
+    }
+
+    /**
+     * Sets the queue for the mutations performed without connection. When called on Model,
+     * it is set globally for every entity that does not define its own queue.
+     * @param {OfflineQueue} queue The queue to use, or null to disable the offline mode
+     */
+    static setOfflineQueue(queue) {
+        this.OFFLINE_QUEUE = queue;
+        if (queue && this.ENTITY_NAME) {
+            queue.register(this);
+        }
+    }
+
+    /**
+     * Adds a middleware to this entity. When called on Model, it applies to every entity.
+     * The global middleware run first, then the ones of each class from the parent to the child.
+     * @param {Object} middleware The middleware (see Middleware.js)
+     * @returns {Function} The function to remove the middleware
+     */
+    static use(middleware) {
+        if (!Object.prototype.hasOwnProperty.call(this, '_middleware')) {
+            this._middleware = [];
+        }
+        this._middleware.push(middleware);
+        return () => {
+            this._middleware = this._middleware.filter((item) => item !== middleware);
+        };
+    }
+
+    /**
+     * Returns the middleware of this entity, including the ones of its parent classes
+     * @returns {Array<Object>} The middleware, in order
+     */
+    static getMiddleware() {
+        const parent = Object.getPrototypeOf(this);
+        const inherited = parent && parent.getMiddleware ? parent.getMiddleware() : [];
+        const own = Object.prototype.hasOwnProperty.call(this, '_middleware') ? this._middleware : [];
+        return [...inherited, ...own];
+    }
+
+    /**
+     * Sends a request through the adapter of this entity and the middleware
+     * @param {string} method The method that performs the request: get, list, post, patch or delete
+     * @param {Object} data The data to send
+     * @param {Object} config The config of the endpoint
+     * @param {Model} model The instance that performs the request, if any. Its middleware also apply
+     * @returns {Promise<Object>} The response: { data, status, headers }
+     */
+    static request(method, data, config, model = null) {
+        const middleware = model ? model.getMiddleware() : this.getMiddleware();
+        return runRequest(
+            middleware,
+            { method, ModelClass: this, model, data, config },
+            (context) => this._send(context.data, context.config),
+        );
+    }
+
+    /**
+     * Sends a request through the adapter, retrying it according to the RETRY policies.
+     * The errors of the adapter are translated into ModelErrors (see Errors.js).
+     * @param {Object} data The data to send
+     * @param {Object} config The config of the endpoint. Its `retry` key overrides the RETRY policies
+     * @returns {Promise<Object>} The response: { data, status, headers }
+     */
+    static async _send(data, config = {}) {
+        const { retry, ...requestConfig } = config;
+        const policies = retry === false ? {} : { ...this.RETRY, ...retry };
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.getAdapter().request(data, requestConfig);
+            } catch (adapterError) {
+                const error = toModelError(adapterError, this);
+                const policy = getRetryPolicy(policies, error);
+                if (!policy || attempt >= (policy.retries ?? 0) || requestConfig.signal?.aborted) throw error;
+                await new Promise((resolve) => setTimeout(resolve, getRetryDelay(policy, attempt)));
+            }
+        }
+    }
+
+    /**
+     * Returns a middleware for the deprecated callbacks of the constructor options, if any of them is set:
+     * before{Method}Callback, onSuccess{Method}Callback and onError{Method}Callback
+     */
+    static _callbacksMiddleware(options) {
+        const getCallback = (prefix, method) => {
+            const callback = options[`${prefix}${method.charAt(0).toUpperCase()}${method.slice(1)}Callback`];
+            return typeof callback === 'function' ? callback : null;
+        };
+        const hasCallbacks = Object.keys(options).some((key) => /^(before|onSuccess|onError)\w+Callback$/.test(key));
+        if (!hasCallbacks) return null;
+        return {
+            beforeRequest: (context) => { getCallback('before', context.method)?.(context.data); },
+            afterResponse: (response, context) => { getCallback('onSuccess', context.method)?.(response.data); },
+            onError: (error, context) => { getCallback('onError', context.method)?.(error); },
+        };
+    }
+
+    /**
+     * Sets the serializer for this entity. When called on Model, it is set globally
+     * for every entity that does not define its own serializer.
+     * @param {Serializer} serializer The serializer to use
+     */
+    static setSerializer(serializer) {
+        this.SERIALIZER = serializer;
+    }
+
+    /**
+     * Returns the serializer of this entity
+     * @returns {Serializer} The serializer to use
+     */
+    static getSerializer() {
+        if (!this.SERIALIZER) {
+            throw new Error(`No serializer configured for ${this.name}. Use Model.setSerializer() to set one`);
+        }
+        return this.SERIALIZER;
+    }
+
+    /**
+     * Sets the transport adapter for this entity. When called on Model, it is set globally
+     * for every entity that does not define its own adapter.
+     * @param {TransportAdapter} adapter The adapter to use
+     */
+    static setAdapter(adapter) {
+        this.ADAPTER = adapter;
+    }
+
+    /**
+     * Returns the transport adapter of this entity
+     * @returns {TransportAdapter} The adapter to use
+     */
+    static getAdapter() {
+        if (!this.ADAPTER) {
+            throw new Error(`No transport adapter configured for ${this.name}. Use Model.setAdapter() to set one`);
+        }
+        return this.ADAPTER;
+    }
+
+    /**
+     * Gets the entity usting the ID passing as parameter and returns a new instance of the entity.
+     * It goes through the query of the entity, so the concurrent calls for the same ID share one request.
+     * @returns {this} The entity with the ID passed as parameter
+     */
+    static async select(id, options = {}) {
+        let entity = new this(this.idToData(id), options);
+        await entity.fetchQuery();
+        return entity;
+    }
+
+    /**
+     * Starts a query to get a list of the entities of this type
+     * @returns {QueryBuilder} The query builder
+     */
+    static query() {
+        return new QueryBuilder(this);
+    }
+
+    /**
+     * Gets the list of the entities of this type through the API
+     * @param {Object} filters The filters to be applied to the list
+     *                       - order: {
+     *                          column: The column to order by
+     *                          dir: The direction of the order
+     *                         }
+     *                       - search: {
+     *                          value: The term to search
+     *                         }
+     *                       - length: The number of items to return
+     *                       - start: The index of the first item to return   
+     * @param {Object} options
+     *                       - queryClient: The QueryClient to use instead of the static one
+     *                       - signal: AbortSignal to cancel the request
+     */
+    static async list(filters, options = {}) {
+        if (!this.LIST_ENDPOINT()) {
+            throw new Error(`LIST_ENDPOINT not defined on ${this.name}`);
+        }
+        const config = { ...this.LIST_ENDPOINT() };
+        if (options.signal) {
+            config.signal = options.signal;
+        }
+        const responseData = await this.request('list', filters, config);
+        const { items, recordsTotal, recordsFiltered } = this.getSerializer().readList(this, responseData);
+        const queryClient = options.queryClient ?? this.QueryClient;
+        const returnedList = items.map((item) => {
+            const entity = new this(item, { queryClient, isPersisted: true });
+            // Each entity is also cached in its own query, so its instance is released when the query is garbage-collected.
+            // The rows without ID (like the aggregated ones) have no query of their own
+            if (entity.hasId()) {
+                queryClient.setQueryData(this.getQueryKey(entity.getId()), item);
+            }
+            return entity;
+        });
+        return {
+            list: returnedList,
+            recordsTotal,
+            recordsFiltered,
+        };
+    }
+
+    /**
+     * Creates the entities that are not persisted and updates the rest, with as few requests as possible,
+     * choosing the method like save(). The cache is updated once, when all the requests finish.
+     * @param {Array<Model>} models The entities to save
+     * @param {Object} options
+     *                  - concurrency: The number of requests at the same time without BATCH_ENDPOINT
+     * @returns {Promise<Array<Object>>} The result of each entity, in the same order:
+     *                  { model, method, data, error }. Invalid entities get their validation error.
+     *                  With PATCH_ONLY_CHANGES, the entities without changes are skipped (method null).
+     */
+    static async saveMany(models, options = {}) {
+        return this._runMany(models.map((model) => {
+            const method = model._getSaveMethod();
+            if (method === 'patch' && model.constructor.PATCH_ONLY_CHANGES && !model.isDirty.peek()) {
+                return { model, method: null, skip: true };
+            }
+            try {
+                model._assertValid(method.toUpperCase());
+            } catch (error) {
+                return { model, method, error };
+            }
+            return { model, method, payload: method === 'post' ? model.prepareForPost() : model.prepareForPatch() };
+        }), options);
+    }
+
+    /**
+     * Deletes the entities with as few requests as possible.
+     * They are removed from the cache once, when all the requests finish.
+     * @param {Array<Model>} models The entities to delete
+     * @param {Object} options
+     *                  - concurrency: The number of requests at the same time without BATCH_ENDPOINT
+     * @returns {Promise<Array<Object>>} The result of each entity, in the same order: { model, method, data, error }
+     */
+    static async deleteMany(models, options = {}) {
+        return this._runMany(models.map((model) => {
+            if (!model.hasId()) {
+                return { model, method: 'delete', error: new Error('Cannot DELETE an entity without an ID') };
+            }
+            return { model, method: 'delete', payload: {} };
+        }), options);
+    }
+
+    /**
+     * Builds the body of a request to the BATCH_ENDPOINT:
+     * { operations: [{ method, id, data }] }, with the data in the format of the SERIALIZER
+     * @param {Array<Object>} operations The operations: { model, method, payload }
+     */
+    static prepareForBatch(operations) {
+        return {
+            operations: operations.map(({ model, method, payload }) => {
+                const operation = { method, id: model.getId() ?? undefined };
+                if (method !== 'delete') {
+                    operation.data = payload;
+                }
+                return operation;
+            }),
+        };
+    }
+
+    /**
+     * Reads the response of the BATCH_ENDPOINT: { results: [{ status, data }] }, one result for
+     * each operation in the same order. Each data is the body that the single request would return.
+     * @param {Object} response The response of the adapter
+     * @param {Array<Object>} operations The operations sent
+     * @returns {Array<Object>} The response of each operation: { data, status, headers }, or { error }
+     */
+    static readBatchResponse(response, operations) {
+        const results = response.data?.results ?? [];
+        return operations.map((operation, index) => {
+            const result = results[index];
+            if (!result) {
+                return { error: new Error(`Missing result of the ${operation.method} of ${operation.model}`) };
+            }
+            const status = result.status ?? 200;
+            if (status >= 400) {
+                const error = new Error(result.data?.message ?? `Request failed with status code ${status}`);
+                error.response = { data: result.data, status, headers: {} };
+                return { error: toModelError(error, this) };
+            }
+            return { data: result.data, status, headers: response.headers ?? {} };
+        });
+    }
+
+    /**
+     * Sends the operations of saveMany and deleteMany, and applies their responses
+     * @param {Array<Object>} operations { model, method, payload }, or { model, method, error } when the
+     *                                   operation cannot be sent, or { model, skip: true }
+     */
+    static async _runMany(operations, options) {
+        // The errors found while preparing the operations (like the validation) are results, not exceptions
+        const results = operations.map(({ model, method, error }) => ({ model, method, data: null, error: error ?? null }));
+
+        const pending = [];
+        operations.forEach((operation, index) => {
+            if (!operation.skip && !operation.error) pending.push({ ...operation, index });
+        });
+
+        // The entities that must be queued offline follow the single request flow
+        const online = [];
+        await Promise.all(pending.map(async (operation) => {
+            if (!operation.model._shouldQueueOffline()) {
+                online.push(operation);
+                return;
+            }
+            try {
+                results[operation.index].data = await operation.model[operation.method]();
+            } catch (error) {
+                results[operation.index].error = error;
+            }
+        }));
+
+        const responses = this.BATCH_ENDPOINT()
+            ? await this._sendBatch(online)
+            : await runWithConcurrency(online, options.concurrency ?? this.BATCH_CONCURRENCY, (operation) => {
+                const config = { ...operation.model.constructor[`${operation.method.toUpperCase()}_ENDPOINT`]() };
+                config.url = operation.model.prepareURL(config.url);
+                return operation.model.request(operation.method, operation.payload, config).catch((error) => ({ error }));
+            });
+
+        const succeeded = [];
+        online.forEach((operation, index) => {
+            const response = responses[index];
+            if (response.error) {
+                results[operation.index].error = response.error;
+                operation.model._setServerErrors(response.error);
+            } else {
+                results[operation.index].data = response.data;
+                succeeded.push({ ...operation, response });
+            }
+        });
+
+        // All the changes to the cache notify the observers once
+        notifyManager.batch(() => {
+            const queryClients = new Set();
+            for (const { model, method, response } of succeeded) {
+                queryClients.add(model.getQueryClient());
+                if (method === 'delete') {
+                    model._removeDeleted();
+                    continue;
+                }
+                const serverData = model.constructor.getSerializer().readEntity(model.constructor, response);
+                if (method === 'post') {
+                    model.data.update(model.constructor.idToData(model.constructor.extractId(serverData)));
+                    model._isPersisted = true;
+                    model.constructor.registerInstance(model);
+                }
+                const cachedData = { ...model.data.getObject(), ...(serverData && typeof serverData === 'object' ? serverData : {}) };
+                model._syncWithQueryData(cachedData);
+                model.getQueryClient().setQueryData(model.constructor.getQueryKey(model.getId()), cachedData);
+                model.constructor.notify(method === 'post' ? 'created' : 'updated', model);
+            }
+            queryClients.forEach((queryClient) => {
+                queryClient.invalidateQueries({ queryKey: this.getListQueryKey() });
+            });
+        });
+
+        succeeded.forEach(({ model, method, response }) => model._emitSave(method, response));
+        return results;
+    }
+
+    /**
+     * Sends the operations to the BATCH_ENDPOINT in chunks of BATCH_SIZE
+     * @returns {Promise<Array<Object>>} The response of each operation
+     */
+    static async _sendBatch(operations) {
+        const responses = [];
+        for (let start = 0; start < operations.length; start += this.BATCH_SIZE) {
+            const chunk = operations.slice(start, start + this.BATCH_SIZE);
+            try {
+                const response = await this.request('batch', this.prepareForBatch(chunk), { ...this.BATCH_ENDPOINT() });
+                responses.push(...this.readBatchResponse(response, chunk));
+            } catch (error) {
+                responses.push(...chunk.map(() => ({ error })));
+            }
+        }
+        return responses;
+    }
+
+    /**
+     * Casts the value to the type of this entity. The data and the IDs reference entities that already exist
+     * @param {*} value An instance, the data of the entity or its ID
+     * @param {Object} options The options for the constructor
+     */
+    static cast(value, options = {}) {
+        if (value instanceof this) {
+            return value;
+        } else if (value instanceof Object) {
+            return new this(value, { isPersisted: true, ...options });
+        } else if (typeof value === 'number' || typeof value === 'string') {
+            return new this(this.idToData(value), { isPersisted: true, ...options });
+        } else {
+            throw new Error(`Invalid value for ${this.name} cast`, value);
+        }
+    }
+
+    /**
+     * Returns or assign a value to a nested property of the given object.
+     */
+    static nestedProperty(object, rute, value) {
+        const parts = rute.replace(/\[(\w+)\]/g, '.$1').split('.');
+        const lastPart = parts.pop();
+
+        let lastObject = object;
+        for (let i = 0; i < parts.length; i++) {
+            if (lastObject === undefined) {
+                return undefined;
+            }
+            lastObject = lastObject[parts[i]];
+        }
+
+        if (value !== undefined && lastObject !== undefined && lastPart in lastObject) {
+            lastObject[lastPart] = value;
+        } else {
+            return lastObject ? lastObject[lastPart] : undefined;
+        }
+    }
+
+    /**
+     * Finds the model in the list passed as parameter
+     * @param {Array} list The list to search the model
+     * @param {Model} model The model to find in the list
+     */
+    static findInList(list, model) {
+        return this.findInListById(list, model.getId());
+    }
+
+    /**
+     * Finds the model in the list passed as parameter
+     * @param {Array} list The list to search the model
+     * @param {number|string|Object} id The ID of the model to find in the list
      */
     static findInListById(list, id) {
-        return list.find((item) => item.id === id);
+        return list.find((item) => {
+            const itemId = item instanceof Model ? item.getId() : this.extractId(item);
+            return this.compareIds(itemId, id);
+        });
     }
 
 }
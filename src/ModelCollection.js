@@ -0,0 +1,298 @@
+import { InfiniteQueryObserver } from '@tanstack/react-query';
+import { Signal, signal, computed, effect, batch } from '@preact/signals-react';
+
+/**
+ * Reactive list of entities of a Model.
+ * It handles the paging, sorting and search state in signals, and refetches the list
+ * through React Query as soon as any of them changes.
+ * The pages are fetched with an infinite query, so loadMore() appends the next page to the items.
+ *
+ * @property {typeof Model} ModelClass The class of the entities
+ * @property {Signal<Array<Model>>} items The loaded entities
+ * @property {Signal<number>} page The current page, starting at 1
+ * @property {Signal<number>} pageSize The number of entities per page
+ * @property {Signal<Object>} sort The order of the list: { column, dir }
+ * @property {Signal<string>} search The term to search
+ * @property {Signal<Object>} filters Extra filters sent to the list service
+ * @property {Signal<boolean>} isLoading True while the first page is being fetched
+ * @property {Signal<boolean>} isFetching True while any page is being fetched
+ * @property {Signal<boolean>} isLoadingMore True while the next page is being fetched
+ * @property {Signal<Error>} error The error of the last fetch
+ * @property {Signal<number>} total The number of entities that match the filters
+ */
+class ModelCollection {
+
+    ModelClass = null;
+
+    items = signal([]);
+
+    page = signal(1);
+
+    pageSize = signal(10);
+
+    sort = signal(null);
+
+    search = signal('');
+
+    filters = signal({});
+
+    isLoading = signal(false);
+
+    isFetching = signal(false);
+
+    isLoadingMore = signal(false);
+
+    error = signal(null);
+
+    total = signal(0);
+
+    /**
+     * Computed signal with the number of pages
+     * @type {Signal<number>}
+     */
+    pageCount = computed(() => Math.max(1, Math.ceil(this.total.value / this.pageSize.value)));
+
+    /**
+     * Indicates if there are more entities to load with loadMore()
+     * @type {Signal<boolean>}
+     */
+    hasMore = signal(false);
+
+    /**
+     * Where the entities created through post() are added: 'start', 'end' or false to ignore them
+     */
+    addCreatedAt = 'start';
+
+    queryOptions = {};
+
+    /**
+     * The QueryClient of the pages. The static QueryClient of the Model by default
+     */
+    queryClient = null;
+
+    _observer = null;
+
+    _disposers = [];
+
+    /**
+     * @param {typeof Model} ModelClass The class of the entities
+     * @param {Object} options
+     *                  - page, pageSize, sort, search, filters: The initial state
+     *                  - addCreatedAt: Where the created entities are added ('start', 'end' or false)
+     *                  - queryOptions: Extra options for the infinite query
+     *                  - queryClient: The QueryClient to use instead of the static one of the Model
+     *                  - autoConnect: If the collection starts fetching and listening to changes as soon
+     *                                 as it is created. True by default, the hooks connect it on mount instead
+     */
+    constructor(ModelClass, options = {}) {
+        this.ModelClass = ModelClass;
+        this.page.value = options.page ?? this.page.value;
+        this.pageSize.value = options.pageSize ?? this.pageSize.value;
+        this.sort.value = options.sort ?? this.sort.value;
+        this.search.value = options.search ?? this.search.value;
+        this.filters.value = options.filters ?? this.filters.value;
+        this.addCreatedAt = options.addCreatedAt ?? this.addCreatedAt;
+        this.queryOptions = { ...options.queryOptions };
+        this.queryClient = options.queryClient ?? ModelClass.QueryClient;
+
+        this._observer = new InfiniteQueryObserver(this.queryClient, this._buildQueryOptions());
+        this._applyResult(this._observer.getCurrentResult());
+
+        if (options.autoConnect !== false) {
+            this.connect();
+        }
+    }
+
+    /**
+     * Starts fetching the list and listening to the changes of the state signals and of the entities
+     * @returns {Function} The function to disconnect the collection
+     */
+    connect() {
+        if (this._disposers.length) return this.disconnect;
+
+        this._disposers.push(this._observer.subscribe(this._applyResult));
+
+        // Any change in the state signals updates the query, that refetches if it is not cached
+        let isFirstRun = true;
+        this._disposers.push(effect(() => {
+            const queryOptions = this._buildQueryOptions();
+            if (isFirstRun) {
+                isFirstRun = false;
+                return;
+            }
+            this._observer.setOptions(queryOptions);
+        }));
+
+        this._disposers.push(this.ModelClass.subscribe(this._onModelChange));
+        return this.disconnect;
+    }
+
+    /**
+     * Stops listening to the query and to the changes of the entities
+     */
+    disconnect = () => {
+        this._disposers.forEach((dispose) => dispose());
+        this._disposers = [];
+    }
+
+    /**
+     * Returns the filters for the list service, in the format described in Model.list, without the paging
+     */
+    getFilters() {
+        const filters = { ...this.filters.value };
+        if (this.sort.value) {
+            filters.order = { ...this.sort.value };
+        }
+        if (this.search.value) {
+            filters.search = { value: this.search.value };
+        }
+        return filters;
+    }
+
+    /**
+     * Returns the key of the query that holds the pages of this collection
+     */
+    getQueryKey() {
+        return [
+            ...this.ModelClass.getListQueryKey({ ...this.getFilters(), page: this.page.value, pageSize: this.pageSize.value }),
+            'collection',
+        ];
+    }
+
+    _buildQueryOptions() {
+        const filters = this.getFilters();
+        const pageSize = this.pageSize.value;
+        return {
+            queryKey: this.getQueryKey(),
+            // The signal cancels the request when the query is superseded (new filters, sort, search or page) or disconnected
+            queryFn: ({ pageParam, signal }) => this.ModelClass.list(
+                { ...filters, start: pageParam, length: pageSize },
+                { queryClient: this.queryClient, signal },
+            ),
+            initialPageParam: (this.page.value - 1) * pageSize,
+            getNextPageParam: (lastPage, allPages, lastPageParam) => {
+                const nextStart = lastPageParam + pageSize;
+                const total = lastPage.recordsFiltered ?? lastPage.recordsTotal;
+                if (total !== undefined && total !== null) {
+                    return nextStart < total ? nextStart : undefined;
+                }
+                return lastPage.list.length < pageSize ? undefined : nextStart;
+            },
+            ...this.queryOptions,
+        };
+    }
+
+    _applyResult = (result) => {
+        batch(() => {
+            const pages = result.data?.pages ?? [];
+            this.items.value = pages.flatMap((page) => page.list);
+            const lastPage = pages[pages.length - 1];
+            this.total.value = lastPage ? (lastPage.recordsFiltered ?? lastPage.recordsTotal ?? this.items.value.length) : 0;
+            this.isLoading.value = result.isLoading;
+            this.isFetching.value = result.isFetching;
+            this.isLoadingMore.value = result.isFetchingNextPage;
+            this.hasMore.value = result.hasNextPage;
+            this.error.value = result.error;
+        });
+    }
+
+    /**
+     * Updates the cached pages when an entity of this class is created or deleted through the API
+     */
+    _onModelChange = (type, instance) => {
+        if (instance.getQueryClient() !== this.queryClient) return;
+        if (type === 'deleted') {
+            this._updatePages((pages) => {
+                const lists = pages.map((page) => page.list.filter((item) => !item.compare(instance)));
+                const removed = pages.reduce((count, page, index) => count + page.list.length - lists[index].length, 0);
+                return pages.map((page, index) => this._withTotals(page, lists[index], -removed));
+            });
+        } else if (type === 'created' && this.addCreatedAt) {
+            this._updatePages((pages) => {
+                if (pages.some((page) => page.list.some((item) => item.compare(instance)))) return pages;
+                const targetIndex = this.addCreatedAt === 'end' ? pages.length - 1 : 0;
+                return pages.map((page, index) => {
+                    let list = page.list;
+                    if (index === targetIndex) {
+                        list = this.addCreatedAt === 'end' ? [...list, instance] : [instance, ...list];
+                    }
+                    return this._withTotals(page, list, 1);
+                });
+            });
+        }
+    }
+
+    _withTotals(page, list, difference) {
+        const addDifference = (total) => typeof total === 'number' ? total + difference : total;
+        return {
+            ...page,
+            list,
+            recordsTotal: addDifference(page.recordsTotal),
+            recordsFiltered: addDifference(page.recordsFiltered),
+        };
+    }
+
+    _updatePages(updater) {
+        this.queryClient.setQueryData(this.getQueryKey(), (data) => {
+            if (!data) return data;
+            return { ...data, pages: updater(data.pages) };
+        });
+    }
+
+    /**
+     * Fetches the next page and appends its entities to the items
+     * @returns {Promise} Resolves when the page is loaded
+     */
+    async loadMore() {
+        if (!this.hasMore.peek() || this.isLoadingMore.peek()) return;
+        await this._observer.fetchNextPage();
+    }
+
+    /**
+     * Refetches all the loaded pages
+     */
+    async refetch() {
+        await this._observer.refetch();
+    }
+
+    /**
+     * Goes to the indicated page. The items are replaced by the entities of that page
+     * @param {number} page The page, starting at 1
+     */
+    goToPage(page) {
+        this.page.value = Math.min(Math.max(1, page), this.pageCount.peek());
+    }
+
+    nextPage() {
+        this.goToPage(this.page.peek() + 1);
+    }
+
+    previousPage() {
+        this.goToPage(this.page.peek() - 1);
+    }
+
+    /**
+     * Sets the order of the list and goes back to the first page
+     * @param {string} column The column to order by
+     * @param {string} dir The direction of the order: asc or desc
+     */
+    sortBy(column, dir = 'asc') {
+        batch(() => {
+            this.sort.value = column ? { column, dir } : null;
+            this.page.value = 1;
+        });
+    }
+
+    /**
+     * Sets the term to search and goes back to the first page
+     * @param {string} term The term to search
+     */
+    setSearch(term) {
+        batch(() => {
+            this.search.value = term;
+            this.page.value = 1;
+        });
+    }
+}
+
+export { ModelCollection };
@@ -0,0 +1,39 @@
+import { createContext, createElement, useContext } from 'react';
+import { QueryClientProvider } from '@tanstack/react-query';
+
+/**
+ * Context with the QueryClient used by the models in the hooks
+ */
+const ModelContext = createContext(null);
+
+/**
+ * Supplies the QueryClient used by the hooks of the models, instead of the static Model.QueryClient.
+ * On the server, a QueryClient must be created per request, so the data of a user is never
+ * shared with other requests. It also provides the client to the hooks of React Query.
+ *
+ * @param {Object} props
+ *                  - client: The QueryClient to use
+ *                  - children: The content of the app
+ */
+const ModelProvider = ({ client, children }) => {
+    if (!client) {
+        throw new Error('ModelProvider requires a QueryClient');
+    }
+    return createElement(
+        QueryClientProvider,
+        { client },
+        createElement(ModelContext.Provider, { value: client }, children),
+    );
+}
+
+/**
+ * Returns the QueryClient of the closest ModelProvider, or the static QueryClient of the model
+ * if there is no provider
+ * @param {typeof Model} ModelClass The class of the entity
+ * @returns {QueryClient} The QueryClient to use
+ */
+const useModelQueryClient = (ModelClass) => {
+    return useContext(ModelContext) ?? ModelClass.QueryClient;
+}
+
+export { ModelContext, ModelProvider, useModelQueryClient };
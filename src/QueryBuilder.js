@@ -0,0 +1,179 @@
+import { OPERATOR_NAMES } from './QueryCompilers.js';
+
+/**
+ * Fluent builder for the filters of the list service of a Model.
+ * Each method returns a new builder, so a base query can be reused:
+ *
+ *     UserModel.query().where('status', 'active').search('jo').orderBy('name', 'desc').page(2, 25).get()
+ *
+ * The state is compiled into the filters by the QUERY_COMPILER of the Model (DataTables style by default).
+ *
+ * @property {typeof Model} ModelClass The class of the entities
+ */
+class QueryBuilder {
+
+    ModelClass = null;
+
+    _state = {
+        where: [],
+        search: '',
+        orders: [],
+        page: 1,
+        pageSize: null,
+        params: {},
+    };
+
+    /**
+     * @param {typeof Model} ModelClass The class of the entities
+     * @param {Object} compiler The compiler to use instead of the QUERY_COMPILER of the Model
+     */
+    constructor(ModelClass, compiler = null) {
+        this.ModelClass = ModelClass;
+        this._compiler = compiler;
+    }
+
+    _with(changes) {
+        const builder = new this.constructor(this.ModelClass, this._compiler);
+        builder._state = { ...this._state, ...changes };
+        return builder;
+    }
+
+    /**
+     * Adds a condition. It can be called as where(field, value) or where(field, operator, value)
+     * @param {string} field The name of the field
+     * @param {string} operator One of: =, !=, >, >=, <, <=, in, like
+     * @param {*} value The value to compare with
+     */
+    where(field, operator, value) {
+        if (arguments.length === 2) {
+            value = operator;
+            operator = '=';
+        }
+        if (!(operator in OPERATOR_NAMES)) {
+            throw new Error(`Invalid operator ${operator} for ${field}`);
+        }
+        const where = this._state.where.filter((condition) => condition.field !== field || condition.operator !== operator);
+        return this._with({ where: [...where, { field, operator, value }] });
+    }
+
+    /**
+     * Adds a condition to match any of the values
+     */
+    whereIn(field, values) {
+        return this.where(field, 'in', values);
+    }
+
+    /**
+     * Sets the term to search
+     */
+    search(term) {
+        return this._with({ search: term ?? '' });
+    }
+
+    /**
+     * Adds an order. The orders are applied in the order they are added
+     * @param {string} column The column to order by
+     * @param {string} dir The direction of the order: asc or desc
+     */
+    orderBy(column, dir = 'asc') {
+        const orders = this._state.orders.filter((order) => order.column !== column);
+        return this._with({ orders: [...orders, { column, dir: dir.toLowerCase() }] });
+    }
+
+    /**
+     * Sets the page to get
+     * @param {number} page The page, starting at 1
+     * @param {number} pageSize The number of entities per page. Keeps the previous one if it is not passed
+     */
+    page(page, pageSize = this._state.pageSize) {
+        return this._with({ page: Math.max(1, page), pageSize });
+    }
+
+    /**
+     * Sets the number of entities to get, from the first page
+     */
+    limit(pageSize) {
+        return this._with({ page: 1, pageSize });
+    }
+
+    /**
+     * Adds extra params to be sent as they are
+     */
+    params(params) {
+        return this._with({ params: { ...this._state.params, ...params } });
+    }
+
+    /**
+     * Uses another compiler for this query
+     */
+    compileWith(compiler) {
+        const builder = this._with({});
+        builder._compiler = compiler;
+        return builder;
+    }
+
+    /**
+     * Returns the state of the query, as received by the compilers
+     */
+    getState() {
+        return {
+            ...this._state,
+            where: this._state.where.map((condition) => ({ ...condition })),
+            orders: this._state.orders.map((order) => ({ ...order })),
+            params: { ...this._state.params },
+        };
+    }
+
+    /**
+     * Compiles the query into the filters for the list service
+     * @returns {Object} The filters, with the keys sorted so equal queries produce equal filters
+     */
+    toFilters() {
+        const compiler = this._compiler ?? this.ModelClass.QUERY_COMPILER;
+        return QueryBuilder.normalize(compiler.compile(this.getState()));
+    }
+
+    /**
+     * Returns the query key of the list with these filters.
+     * Equal queries share the same key, regardless the order the conditions were added.
+     */
+    getQueryKey() {
+        return this.ModelClass.getListQueryKey(this.toFilters());
+    }
+
+    /**
+     * Gets the list through the QueryClient, so it shares the cache with useModelList
+     * @param {Object} options
+     *                  - queryClient: The QueryClient to use instead of the static one of the Model
+     * @returns {Promise<Object>} The result of Model.list: { list, recordsTotal, recordsFiltered }
+     */
+    async get(options = {}) {
+        const filters = this.toFilters();
+        const queryClient = options.queryClient ?? this.ModelClass.QueryClient;
+        return queryClient.fetchQuery({
+            queryKey: this.ModelClass.getListQueryKey(filters),
+            queryFn: ({ signal }) => this.ModelClass.list(filters, { queryClient, signal }),
+        });
+    }
+
+    /**
+     * Returns a copy of the value with the keys of the objects sorted and without undefined values
+     */
+    static normalize(value) {
+        if (Array.isArray(value)) {
+            return value.map((item) => QueryBuilder.normalize(item));
+        }
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            const normalized = {};
+            for (const key of Object.keys(value).sort()) {
+                if (value[key] !== undefined) {
+                    normalized[key] = QueryBuilder.normalize(value[key]);
+                }
+            }
+            return normalized;
+        }
+        return value;
+    }
+}
+
+export { QueryBuilder };
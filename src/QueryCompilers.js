@@ -0,0 +1,126 @@
+/**
+ * Compilers transform the state of a QueryBuilder into the filters sent to the list service.
+ * A compiler is an object with a compile function that receives the state of the query:
+ *  - where: The conditions [{ field, operator, value }]
+ *  - search: The term to search
+ *  - orders: The order of the list [{ column, dir }]
+ *  - page: The page, starting at 1
+ *  - pageSize: The number of entities per page
+ *  - params: Extra params to send as they are
+ */
+
+/**
+ * Names of the operators used by the compilers that need a name instead of the symbol
+ */
+const OPERATOR_NAMES = {
+    '=': 'eq',
+    '!=': 'ne',
+    '>': 'gt',
+    '>=': 'gte',
+    '<': 'lt',
+    '<=': 'lte',
+    'in': 'in',
+    'like': 'like',
+};
+
+/**
+ * Builds the conditions object using the operator names for the operators different than '='
+ */
+const compileConditions = (where) => {
+    const conditions = {};
+    for (const { field, operator, value } of where) {
+        if (operator === '=') {
+            conditions[field] = value;
+        } else {
+            conditions[field] = { ...conditions[field], [OPERATOR_NAMES[operator]]: value };
+        }
+    }
+    return conditions;
+};
+
+/**
+ * Format documented in Model.list: the DataTables style filters
+ * { ...conditions, order: { column, dir }, search: { value }, start, length }
+ * When there are several orders, `order` is an array.
+ */
+const DataTablesCompiler = {
+    compile(query) {
+        const filters = { ...compileConditions(query.where), ...query.params };
+        if (query.orders.length === 1) {
+            filters.order = { ...query.orders[0] };
+        } else if (query.orders.length > 1) {
+            filters.order = query.orders.map((order) => ({ ...order }));
+        }
+        if (query.search) {
+            filters.search = { value: query.search };
+        }
+        if (query.pageSize) {
+            filters.start = (query.page - 1) * query.pageSize;
+            filters.length = query.pageSize;
+        }
+        return filters;
+    },
+};
+
+/**
+ * Format of the JSON:API specification
+ * { filter: { ...conditions, search }, sort: 'name,-createdAt', page: { number, size } }
+ */
+const JsonApiCompiler = {
+    compile(query) {
+        const filters = { ...query.params };
+        const filter = compileConditions(query.where);
+        if (query.search) {
+            filter.search = query.search;
+        }
+        if (Object.keys(filter).length) {
+            filters.filter = filter;
+        }
+        if (query.orders.length) {
+            filters.sort = query.orders.map(({ column, dir }) => (dir === 'desc' ? '-' : '') + column).join(',');
+        }
+        if (query.pageSize) {
+            filters.page = { number: query.page, size: query.pageSize };
+        }
+        return filters;
+    },
+};
+
+/**
+ * Creates a compiler for plain query strings:
+ * { ...conditions, q, sort: 'name,-createdAt', page, per_page }
+ * @param {Object} options The names of the params
+ *                  - searchParam: 'q' by default
+ *                  - sortParam: 'sort' by default
+ *                  - pageParam: 'page' by default
+ *                  - pageSizeParam: 'per_page' by default
+ */
+const createQueryStringCompiler = (options = {}) => {
+    const names = {
+        searchParam: 'q',
+        sortParam: 'sort',
+        pageParam: 'page',
+        pageSizeParam: 'per_page',
+        ...options,
+    };
+    return {
+        compile(query) {
+            const filters = { ...compileConditions(query.where), ...query.params };
+            if (query.search) {
+                filters[names.searchParam] = query.search;
+            }
+            if (query.orders.length) {
+                filters[names.sortParam] = query.orders.map(({ column, dir }) => (dir === 'desc' ? '-' : '') + column).join(',');
+            }
+            if (query.pageSize) {
+                filters[names.pageParam] = query.page;
+                filters[names.pageSizeParam] = query.pageSize;
+            }
+            return filters;
+        },
+    };
+};
+
+const QueryStringCompiler = createQueryStringCompiler();
+
+export { OPERATOR_NAMES, DataTablesCompiler, JsonApiCompiler, QueryStringCompiler, createQueryStringCompiler };
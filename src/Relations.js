@@ -0,0 +1,90 @@
+/**
+ * Helpers to handle the attributes that reference other models.
+ *
+ * A relation is declared in the ATTRIBUTES_CONFIG with the type of the relation and the related model:
+ *  - type: belongsTo, hasOne or hasMany
+ *  - model: The related Model subclass, or a function that returns it (to avoid circular imports)
+ *  - foreignKey: The name of the attribute that holds the ID of the related entity in the API payloads.
+ *                Only for belongsTo. By default, the name of the attribute is used
+ *  - serialize: How the relation is sent to the API: 'id' (by default) or 'object' for nested objects
+ *  - lazy: If the related entities received only by ID are loaded through their GET_ENDPOINT as soon as
+ *          any of their attributes is read. True by default
+ */
+
+const RELATION_TYPES = ['belongsTo', 'hasOne', 'hasMany'];
+
+/**
+ * Returns true if the attribute configuration declares a relation
+ */
+const isRelation = (config) => RELATION_TYPES.includes(config?.type);
+
+/**
+ * Returns the related Model subclass of the relation
+ */
+const resolveRelatedModel = (config) => {
+    if (!config.model) {
+        throw new Error(`The model of the ${config.type} relation is not defined`);
+    }
+    // Model subclasses have the ENTITY_NAME static attribute, otherwise it is a function that returns the class
+    return 'ENTITY_NAME' in config.model ? config.model : config.model();
+};
+
+/**
+ * Transforms the value into an instance of the related model. IDs are transformed into
+ * instances that load their data lazily.
+ * The instances use the same QueryClient as the model that owns the relation.
+ */
+const castRelated = (value, config, model) => {
+    const RelatedModel = resolveRelatedModel(config);
+    if (value instanceof RelatedModel) return value;
+    try {
+        const instance = RelatedModel.cast(value, { queryClient: model?.getQueryClient?.() });
+        if (typeof value !== 'object' && config.lazy !== false) {
+            instance.enableLazyLoad();
+        }
+        return instance;
+    } catch (error) {
+        return value;
+    }
+};
+
+/**
+ * Transforms the related entity (or entities) into the format to be sent to the API
+ * @param {*} value The value of the relation attribute
+ * @param {Object} config The configuration of the attribute
+ */
+const serializeRelated = (value, config) => {
+    if (value === undefined || value === null) return value;
+    const serializeOne = (instance) => {
+        if (!instance || typeof instance !== 'object') return instance;
+        return config.serialize === 'object' ? instance.data.serialize() : instance.getId();
+    };
+    return Array.isArray(value) ? value.map(serializeOne) : serializeOne(value);
+};
+
+/**
+ * Returns the name of the key used for the relation in the API payloads
+ */
+const getRelationKey = (attribute, config) => {
+    if (config.type === 'belongsTo' && config.foreignKey && config.serialize !== 'object') {
+        return config.foreignKey;
+    }
+    return attribute;
+};
+
+const RELATION_ATTRIBUTE_TYPES = {
+    belongsTo: {
+        coerce: castRelated,
+        check: (value, config) => value instanceof resolveRelatedModel(config),
+    },
+    hasOne: {
+        coerce: castRelated,
+        check: (value, config) => value instanceof resolveRelatedModel(config),
+    },
+    hasMany: {
+        coerce: (value, config, model) => Array.isArray(value) ? value.map((item) => castRelated(item, config, model)) : value,
+        check: (value, config) => Array.isArray(value) && value.every((item) => item instanceof resolveRelatedModel(config)),
+    },
+};
+
+export { RELATION_TYPES, RELATION_ATTRIBUTE_TYPES, isRelation, resolveRelatedModel, serializeRelated, getRelationKey };
@@ -0,0 +1,386 @@
+import { isRelation, resolveRelatedModel, getRelationKey } from './Relations.js';
+
+/**
+ * Serializers translate between the data of the models and the format of the API:
+ *  - The names of the keys: camelCase in the models, snake_case or any other case in the API
+ *  - The values: each attribute can declare `serialize(value, data)` and `deserialize(value, raw)` functions
+ *  - The aliases: each attribute can declare its `apiName`
+ *  - The envelopes: where the entity and the list are in the response body, and how the payload is sent
+ *
+ * The attributes keep their names in the query cache, so the serializer only runs on the requests and responses.
+ * A serializer is set with the SERIALIZER of a Model (Model.setSerializer to set it globally).
+ */
+
+const toSnakeCase = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+
+const toCamelCase = (key) => key.replace(/[_-]+([a-zA-Z0-9])/g, (match, char) => char.toUpperCase());
+
+const toKebabCase = (key) => toSnakeCase(key).replace(/_/g, '-');
+
+/**
+ * The cases that can be used as keyCase: the case of the keys in the API
+ */
+const KEY_CASES = {
+    snake: { toApi: toSnakeCase, fromApi: toCamelCase },
+    kebab: { toApi: toKebabCase, fromApi: toCamelCase },
+    camel: { toApi: toCamelCase, fromApi: toCamelCase },
+};
+
+/**
+ * Default serializer. The entity is sent as it is, and it is received in the `ENTITY_NAME` key of the body.
+ * The lists are received in the `LIST_NAME` key, with the `recordsTotal` and `recordsFiltered` counters.
+ *
+ * Subclasses define other envelopes by overriding extractEntity, extractList and wrap.
+ *
+ * @property {string} keyCase The case of the keys in the API: snake, kebab, camel, or null to keep them
+ */
+class Serializer {
+
+    keyCase = null;
+
+    /**
+     * @param {Object} options
+     *                  - keyCase: The case of the keys in the API: snake, kebab, camel, or null to keep them
+     */
+    constructor(options = {}) {
+        this.keyCase = options.keyCase ?? this.keyCase;
+        if (this.keyCase && !KEY_CASES[this.keyCase]) {
+            throw new Error(`Unknown key case ${this.keyCase}`);
+        }
+    }
+
+    /**
+     * Returns the data of the entity from the response body, before deserializing it
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {Object} response The response of the adapter: { data, status, headers }
+     */
+    extractEntity(ModelClass, response) {
+        return response.data?.[ModelClass.ENTITY_NAME];
+    }
+
+    /**
+     * Returns the items of the list from the response body, before deserializing them, and the counters
+     * @param {typeof Model} ModelClass The class of the entities
+     * @param {Object} response The response of the adapter: { data, status, headers }
+     * @returns {Object} { items, recordsTotal, recordsFiltered }
+     */
+    extractList(ModelClass, response) {
+        return {
+            items: response.data?.[ModelClass.LIST_NAME] ?? [],
+            recordsTotal: response.data?.recordsTotal,
+            recordsFiltered: response.data?.recordsFiltered,
+        };
+    }
+
+    /**
+     * Puts the serialized entity in the envelope expected by the API
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {Object} payload The serialized attributes
+     * @param {Object} options { method, id }
+     */
+    wrap(ModelClass, payload, options = {}) {
+        return payload;
+    }
+
+    /**
+     * Reads the entity of a response and transforms it into the data of the model
+     * @returns {Object} The data of the entity, or the same value if it is not an object
+     */
+    readEntity(ModelClass, response) {
+        return this.deserialize(ModelClass, this.extractEntity(ModelClass, response));
+    }
+
+    /**
+     * Reads the list of a response and transforms its items into the data of the model
+     * @returns {Object} { items, recordsTotal, recordsFiltered }
+     */
+    readList(ModelClass, response) {
+        const { items, ...counters } = this.extractList(ModelClass, response);
+        return { ...counters, items: (items ?? []).map((item) => this.deserialize(ModelClass, item)) };
+    }
+
+    /**
+     * Reads the validation errors of an error response, by attribute of the model. The body must have
+     * the messages by API key: { errors: { key: ['message'] } }. A single message can be a string.
+     * @returns {Object} The messages by attribute: { attribute: [messages] }
+     */
+    readErrors(ModelClass, response) {
+        const errors = response?.data?.errors;
+        if (!errors || typeof errors !== 'object' || Array.isArray(errors)) return {};
+        return this._errorsByAttribute(ModelClass, Object.entries(errors));
+    }
+
+    /**
+     * Groups the messages of the errors by the attribute of their API key
+     * @param {Array} entries The errors: [[apiKey, message or messages]]
+     */
+    _errorsByAttribute(ModelClass, entries) {
+        const keys = this._getKeys(ModelClass);
+        const errors = {};
+        for (const [apiKey, messages] of entries) {
+            const attribute = keys.byApiKey.get(apiKey)?.attribute ?? this.fromApiKey(apiKey);
+            errors[attribute] = [...(errors[attribute] ?? []), ...[].concat(messages)];
+        }
+        return errors;
+    }
+
+    /**
+     * Transforms the data of the model (as returned by DataModel.serialize) into the payload for the API
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {Object} data The data of the entity
+     * @param {Object} options { method, id }
+     * @returns {Object} The payload, in its envelope
+     */
+    serialize(ModelClass, data, options = {}) {
+        return this.wrap(ModelClass, this.serializeAttributes(ModelClass, data), options);
+    }
+
+    /**
+     * Transforms the data of the model into the attributes for the API, without envelope
+     */
+    serializeAttributes(ModelClass, data) {
+        if (!data || typeof data !== 'object') return data;
+        const keys = this._getKeys(ModelClass);
+        const payload = {};
+        for (const key in data) {
+            const { attribute, config } = keys.byDataKey.get(key) ?? { attribute: null, config: {} };
+            let value = data[key];
+            if (typeof config.serialize === 'function') {
+                value = config.serialize(value, data);
+            } else if (attribute && isRelation(config) && value && typeof value === 'object') {
+                const RelatedModel = resolveRelatedModel(config);
+                const serializeOne = (item) => RelatedModel.getSerializer().serializeAttributes(RelatedModel, item);
+                value = Array.isArray(value) ? value.map(serializeOne) : serializeOne(value);
+            } else if (value instanceof Date) {
+                value = value.toISOString();
+            }
+            payload[keys.byDataKey.get(key)?.apiKey ?? this.toApiKey(key)] = value;
+        }
+        return payload;
+    }
+
+    /**
+     * Transforms the data received from the API into the data of the model
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {Object} raw The data of the entity in the API
+     * @returns {Object} The data of the entity, or the same value if it is not an object
+     */
+    deserialize(ModelClass, raw) {
+        if (!raw || typeof raw !== 'object') return raw;
+        const keys = this._getKeys(ModelClass);
+        const data = {};
+        for (const apiKey in raw) {
+            const known = keys.byApiKey.get(apiKey);
+            if (!known) {
+                data[this.fromApiKey(apiKey)] = raw[apiKey];
+                continue;
+            }
+            let value = raw[apiKey];
+            if (typeof known.config.deserialize === 'function') {
+                value = known.config.deserialize(value, raw);
+            } else if (isRelation(known.config) && value && typeof value === 'object') {
+                const RelatedModel = resolveRelatedModel(known.config);
+                const deserializeOne = (item) => RelatedModel.getSerializer().deserialize(RelatedModel, item);
+                value = Array.isArray(value) ? value.map(deserializeOne) : deserializeOne(value);
+            }
+            data[known.dataKey] = value;
+        }
+        return data;
+    }
+
+    toApiKey(key) {
+        return this.keyCase ? KEY_CASES[this.keyCase].toApi(key) : key;
+    }
+
+    fromApiKey(key) {
+        return this.keyCase ? KEY_CASES[this.keyCase].fromApi(key) : key;
+    }
+
+    /**
+     * Returns the API key of an attribute: its apiName or its name in the case of the API
+     * @param {string} attribute The name of the attribute in the model
+     * @param {Object} config The configuration of the attribute
+     * @param {string} dataKey The key of the attribute in the data (the foreign key of some relations)
+     */
+    getApiKey(attribute, config, dataKey = attribute) {
+        if (config.apiName && dataKey === getRelationKey(attribute, config)) return config.apiName;
+        return this.toApiKey(dataKey);
+    }
+
+    /**
+     * Maps the keys of the data of the model and the keys of the API for each attribute.
+     * The relations can be received by their name or by their foreign key.
+     */
+    _getKeys(ModelClass) {
+        const byDataKey = new Map();
+        const byApiKey = new Map();
+        for (const attribute in ModelClass.ATTRIBUTES_CONFIG) {
+            const config = ModelClass.ATTRIBUTES_CONFIG[attribute] ?? {};
+            const dataKeys = new Set([getRelationKey(attribute, config), attribute]);
+            if (isRelation(config) && config.foreignKey) {
+                dataKeys.add(config.foreignKey);
+            }
+            for (const dataKey of dataKeys) {
+                const entry = { attribute, config, dataKey, apiKey: this.getApiKey(attribute, config, dataKey) };
+                byDataKey.set(dataKey, entry);
+                byApiKey.set(entry.apiKey, entry);
+            }
+        }
+        return { byDataKey, byApiKey };
+    }
+}
+
+/**
+ * Serializer for APIs without envelopes: the body is the entity, and the body of the lists is the
+ * array of entities. The total of a list is read from the `X-Total-Count` header.
+ */
+class RawSerializer extends Serializer {
+
+    /**
+     * The header with the total of entities of a list
+     */
+    totalHeader = 'x-total-count';
+
+    /**
+     * @param {Object} options
+     *                  - keyCase: The case of the keys in the API
+     *                  - totalHeader: The header with the total of entities of a list. X-Total-Count by default
+     */
+    constructor(options = {}) {
+        super(options);
+        this.totalHeader = (options.totalHeader ?? this.totalHeader).toLowerCase();
+    }
+
+    extractEntity(ModelClass, response) {
+        return response.data;
+    }
+
+    extractList(ModelClass, response) {
+        const items = Array.isArray(response.data) ? response.data : [];
+        const headers = Object.fromEntries(
+            Object.entries(response.headers ?? {}).map(([name, value]) => [name.toLowerCase(), value])
+        );
+        const total = headers[this.totalHeader] !== undefined ? Number(headers[this.totalHeader]) : items.length;
+        return { items, recordsTotal: total, recordsFiltered: total };
+    }
+}
+
+/**
+ * Serializer for APIs that send the entities and the lists in `data`, and the counters in `meta`:
+ * { data: [...], meta: { total, filtered } }. The payloads are sent without envelope.
+ */
+class DataMetaSerializer extends Serializer {
+
+    extractEntity(ModelClass, response) {
+        return response.data?.data;
+    }
+
+    extractList(ModelClass, response) {
+        const meta = response.data?.meta ?? {};
+        const recordsTotal = meta.total ?? meta.recordsTotal ?? meta.count;
+        return {
+            items: response.data?.data ?? [],
+            recordsTotal,
+            recordsFiltered: meta.filtered ?? meta.recordsFiltered ?? recordsTotal,
+        };
+    }
+}
+
+/**
+ * Serializer for the JSON:API specification. The resources are flattened into the data of the models:
+ * { id, ...attributes, [relationship]: id or ids }. The related resources found in `included` are
+ * received as nested objects. The type of the resources is the ENTITY_NAME of the model.
+ * The payloads are sent as { data: { type, id, attributes, relationships } }.
+ */
+class JsonApiSerializer extends Serializer {
+
+    extractEntity(ModelClass, response) {
+        return this._flatten(ModelClass, response.data?.data, response.data?.included ?? []);
+    }
+
+    extractList(ModelClass, response) {
+        const meta = response.data?.meta ?? {};
+        const recordsTotal = meta.total ?? meta.page?.total ?? meta.recordsTotal;
+        const included = response.data?.included ?? [];
+        return {
+            items: (response.data?.data ?? []).map((resource) => this._flatten(ModelClass, resource, included)),
+            recordsTotal,
+            recordsFiltered: meta.filtered ?? meta.recordsFiltered ?? recordsTotal,
+        };
+    }
+
+    /**
+     * The errors are JSON:API error objects. Their attribute is read from source.pointer:
+     * { errors: [{ detail, source: { pointer: '/data/attributes/first-name' } }] }
+     */
+    readErrors(ModelClass, response) {
+        const errors = response?.data?.errors;
+        if (!Array.isArray(errors)) return {};
+        const entries = errors
+            .filter((error) => error?.source?.pointer)
+            .map((error) => [error.source.pointer.split('/').pop(), error.detail ?? error.title]);
+        return this._errorsByAttribute(ModelClass, entries);
+    }
+
+    wrap(ModelClass, payload, options = {}) {
+        const keys = this._getKeys(ModelClass);
+        const attributes = {};
+        const relationships = {};
+        for (const apiKey in payload) {
+            const known = keys.byApiKey.get(apiKey);
+            if (known && ModelClass.isPrimaryKey(known.attribute) && !ModelClass.isCompositeKey()) continue;
+            if (known && isRelation(known.config) && typeof payload[apiKey] !== 'object') {
+                relationships[this.toApiKey(known.attribute)] = { data: this._identifier(known.config, payload[apiKey]) };
+            } else if (known && known.config.type === 'hasMany' && Array.isArray(payload[apiKey])
+                && payload[apiKey].every((item) => typeof item !== 'object')) {
+                relationships[this.toApiKey(known.attribute)] = {
+                    data: payload[apiKey].map((id) => this._identifier(known.config, id)),
+                };
+            } else {
+                attributes[apiKey] = payload[apiKey];
+            }
+        }
+        const resource = { type: ModelClass.ENTITY_NAME, attributes };
+        if (options.id !== undefined && options.id !== null && !ModelClass.isCompositeKey()) {
+            resource.id = String(options.id);
+        }
+        if (Object.keys(relationships).length) {
+            resource.relationships = relationships;
+        }
+        return { data: resource };
+    }
+
+    _identifier(config, id) {
+        if (id === undefined || id === null) return null;
+        return { type: resolveRelatedModel(config).ENTITY_NAME, id: String(id) };
+    }
+
+    /**
+     * Transforms a resource into the flat format read by deserialize
+     */
+    _flatten(ModelClass, resource, included) {
+        if (!resource || typeof resource !== 'object') return resource;
+        const flat = { ...resource.attributes };
+        if (resource.id !== undefined && !ModelClass.isCompositeKey()) {
+            flat[this.toApiKey(ModelClass.PRIMARY_KEY)] = resource.id;
+        }
+        for (const name in resource.relationships ?? {}) {
+            const linkage = resource.relationships[name]?.data;
+            if (linkage === undefined) continue;
+            const attribute = this.fromApiKey(name);
+            const config = ModelClass.ATTRIBUTES_CONFIG[attribute];
+            const resolve = (identifier) => {
+                if (!identifier) return null;
+                const found = included.find((item) => item.type === identifier.type && item.id === identifier.id);
+                if (found && isRelation(config)) {
+                    return this._flatten(resolveRelatedModel(config), found, []);
+                }
+                return identifier.id;
+            };
+            flat[name] = Array.isArray(linkage) ? linkage.map(resolve) : resolve(linkage);
+        }
+        return flat;
+    }
+}
+
+export { Serializer, RawSerializer, DataMetaSerializer, JsonApiSerializer, KEY_CASES };
@@ -0,0 +1,96 @@
+/**
+ * Base class for the HTTP transport used by the models.
+ * Any adapter must implement the request method and resolve with an object
+ * with the shape { data, status, headers }, where data is the parsed body of the response.
+ * When the server responds with an error status, the adapter must reject with an Error
+ * that has the response attached in the `response` property (same as axios does).
+ * When the request is cancelled through its AbortSignal, the adapter must reject with an AbortError.
+ */
+class TransportAdapter {
+
+    /**
+     * Performs the request to the API
+     * @param {Object} data The data to be sent. For GET and DELETE requests it is sent as query params
+     * @param {Object} config The endpoint configuration
+     *                       - url: The URL of the service (already prepared)
+     *                       - method: The HTTP method. GET by default
+     *                       - headers: Extra headers for this request
+     *                       - params: Extra query params for this request
+     *                       - signal: AbortSignal to cancel the request
+     * @returns {Promise<Object>} The response { data, status, headers }
+     */
+    async request(data, config) {
+        throw new Error(`request not implemented on ${this.constructor.name}`);
+    }
+
+    /**
+     * Creates the error to be thrown when the request is cancelled: the reason of the signal,
+     * or an AbortError when it has none
+     * @param {AbortSignal} signal The signal of the request
+     */
+    static createAbortError(signal) {
+        return signal?.reason ?? new DOMException('The request was aborted', 'AbortError');
+    }
+
+    /**
+     * Creates the error to be thrown when the server responds with an error status
+     * @param {Object} response The response { data, status, headers }
+     * @param {Object} config The endpoint configuration used for the request
+     */
+    static createResponseError(response, config) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.response = response;
+        error.config = config;
+        return error;
+    }
+}
+
+/**
+ * Replaces the params of the URL template with the values of the object passed as parameter.
+ * Params can be declared as `:name` or `{name}`. Nested values can be referenced with dots: `{user.id}`.
+ * Params without value are left untouched.
+ * @param {string} url The URL template
+ * @param {Object} values The values to replace in the URL
+ * @returns {string} The URL with the params replaced
+ */
+const replaceUrlParams = (url, values = {}) => {
+    if (!url) return url;
+    const getValue = (path) => path.split('.').reduce((object, part) => object?.[part], values);
+    const replacer = (match, path) => {
+        const value = getValue(path);
+        if (value === undefined || value === null || typeof value === 'object') {
+            return match;
+        }
+        return encodeURIComponent(value);
+    };
+    return url
+        .replace(/\{([\w.]+)\}/g, replacer)
+        .replace(/:([A-Za-z_][\w.]*)/g, replacer);
+}
+
+/**
+ * Builds a query string from the object passed as parameter.
+ * Nested objects are encoded using the brackets notation: order[column]=name
+ * @param {Object} params The params to encode
+ * @param {string} prefix The name of the parent param when encoding nested objects
+ * @returns {string} The query string without the leading '?'
+ */
+const buildQueryString = (params = {}, prefix = null) => {
+    const parts = [];
+    for (const key in params) {
+        const value = params[key];
+        if (value === undefined || value === null) continue;
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (value instanceof Date) {
+            parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value.toISOString())}`);
+        } else if (typeof value === 'object') {
+            const nested = buildQueryString(value, name);
+            if (nested) parts.push(nested);
+        } else {
+            parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+        }
+    }
+    return parts.join('&');
+}
+
+export { TransportAdapter, replaceUrlParams, buildQueryString };
@@ -0,0 +1,47 @@
+import { TransportAdapter } from '../Transport.js';
+
+/**
+ * Transport adapter for axios or any client with the same request API.
+ * The errors thrown by the client are propagated as they are, since axios already
+ * attaches the response to them.
+ *
+ * @property {Object} client The axios instance (or compatible) used to perform the requests
+ */
+class AxiosAdapter extends TransportAdapter {
+
+    /**
+     * Methods that send the data as query params instead of a body
+     */
+    static QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+    client = null;
+
+    /**
+     * @param {Object} client The axios instance (or compatible) used to perform the requests
+     */
+    constructor(client) {
+        super();
+        if (!client || typeof client.request !== 'function') {
+            throw new Error('An axios compatible client is required');
+        }
+        this.client = client;
+    }
+
+    async request(data, config) {
+        const method = (config.method || 'GET').toUpperCase();
+        const requestConfig = { ...config, method };
+        if (this.constructor.QUERY_METHODS.includes(method)) {
+            requestConfig.params = { ...config.params, ...data };
+        } else {
+            requestConfig.data = data;
+        }
+        const response = await this.client.request(requestConfig);
+        return {
+            data: response.data,
+            status: response.status,
+            headers: response.headers,
+        };
+    }
+}
+
+export { AxiosAdapter };
@@ -0,0 +1,101 @@
+import { TransportAdapter, buildQueryString } from '../Transport.js';
+
+/**
+ * Transport adapter based on the native fetch API.
+ *
+ * @property {string} baseURL The base URL prepended to relative URLs
+ * @property {Object} headers The default headers sent on every request
+ */
+class FetchAdapter extends TransportAdapter {
+
+    /**
+     * Methods that send the data as query params instead of a body
+     */
+    static QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+    baseURL = '';
+
+    headers = {};
+
+    /**
+     * @param {Object} options
+     *                  - baseURL: The base URL prepended to relative URLs
+     *                  - headers: The default headers sent on every request
+     *                  - fetch: Custom fetch implementation. The global fetch by default
+     */
+    constructor(options = {}) {
+        super();
+        this.baseURL = options.baseURL ?? this.baseURL;
+        this.headers = { ...options.headers };
+        this._fetch = options.fetch ?? ((...args) => globalThis.fetch(...args));
+    }
+
+    /**
+     * Builds the full URL of the request including the query params
+     */
+    buildURL(url, params) {
+        let fullURL = /^[a-z][a-z\d+\-.]*:\/\//i.test(url) ? url : `${this.baseURL}${url}`;
+        const queryString = buildQueryString(params);
+        if (queryString) {
+            fullURL += (fullURL.includes('?') ? '&' : '?') + queryString;
+        }
+        return fullURL;
+    }
+
+    async request(data, config) {
+        const method = (config.method || 'GET').toUpperCase();
+        const sendAsQuery = this.constructor.QUERY_METHODS.includes(method);
+        const headers = {
+            'Accept': 'application/json',
+            ...this.headers,
+            ...config.headers,
+        };
+
+        const init = { method, headers };
+        if (config.signal) {
+            init.signal = config.signal;
+        }
+        if (!sendAsQuery && data !== undefined && data !== null) {
+            if (typeof FormData !== 'undefined' && data instanceof FormData) {
+                init.body = data;
+            } else {
+                headers['Content-Type'] = headers['Content-Type'] ?? 'application/json';
+                init.body = JSON.stringify(data);
+            }
+        }
+
+        const url = this.buildURL(config.url, sendAsQuery ? { ...config.params, ...data } : config.params);
+        const fetchResponse = await this._fetch(url, init);
+
+        const response = {
+            data: await this.parseBody(fetchResponse),
+            status: fetchResponse.status,
+            headers: Object.fromEntries(fetchResponse.headers?.entries?.() ?? []),
+        };
+
+        if (!fetchResponse.ok) {
+            throw TransportAdapter.createResponseError(response, config);
+        }
+        return response;
+    }
+
+    /**
+     * Parses the body of the response according to its content type
+     */
+    async parseBody(fetchResponse) {
+        if (fetchResponse.status === 204) return null;
+        const text = await fetchResponse.text();
+        if (!text) return null;
+        const contentType = fetchResponse.headers?.get?.('content-type') ?? '';
+        if (contentType.includes('json') || /^\s*[[{]/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        return text;
+    }
+}
+
+export { FetchAdapter };
@@ -0,0 +1,158 @@
+import { TransportAdapter } from '../Transport.js';
+
+/**
+ * In-memory transport adapter. It does not perform any network request, it resolves
+ * the requests with the handlers registered for each method and URL.
+ * Useful for tests, prototypes and storybooks.
+ *
+ * Handlers receive the request { method, url, path, params, query, data, headers } and must
+ * return (or resolve with) the response { status, data, headers }. The status is 200 by default.
+ * Instead of a function, the response can be registered directly.
+ * The requests with an aborted signal reject with an AbortError, also when it is aborted during the delay.
+ *
+ * @property {Array} routes The registered routes
+ * @property {Array} history The requests received, in order
+ * @property {number} delay Milliseconds to wait before resolving each request
+ */
+class MockAdapter extends TransportAdapter {
+
+    /**
+     * Methods that send the data as query params instead of a body
+     */
+    static QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+    routes = [];
+
+    history = [];
+
+    delay = 0;
+
+    /**
+     * @param {Object} options
+     *                  - delay: Milliseconds to wait before resolving each request
+     */
+    constructor(options = {}) {
+        super();
+        this.delay = options.delay ?? this.delay;
+    }
+
+    /**
+     * Registers a handler for the given method and URL template
+     * @param {string} method The HTTP method. Use '*' to match any method
+     * @param {string} url The URL template. Params can be declared as `:name` or `{name}`
+     * @param {Function|Object} handler The handler or the response to return
+     * @returns {MockAdapter} This adapter, to chain calls
+     */
+    on(method, url, handler) {
+        const paramNames = [];
+        const source = url
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{(\w+)\}|:([A-Za-z_]\w*)/g, (match, braced, prefixed) => {
+                paramNames.push(braced ?? prefixed);
+                return '([^/]+)';
+            });
+        this.routes.push({
+            method: method.toUpperCase(),
+            url,
+            pattern: new RegExp(`^${source}/?$`),
+            paramNames,
+            handler,
+        });
+        return this;
+    }
+
+    onGet(url, handler) { return this.on('GET', url, handler); }
+
+    onPost(url, handler) { return this.on('POST', url, handler); }
+
+    onPut(url, handler) { return this.on('PUT', url, handler); }
+
+    onPatch(url, handler) { return this.on('PATCH', url, handler); }
+
+    onDelete(url, handler) { return this.on('DELETE', url, handler); }
+
+    onAny(url, handler) { return this.on('*', url, handler); }
+
+    /**
+     * Removes all the routes and the history
+     */
+    reset() {
+        this.routes = [];
+        this.history = [];
+    }
+
+    async request(data, config) {
+        const method = (config.method || 'GET').toUpperCase();
+        const [path, queryString = ''] = (config.url || '').split('?');
+        const request = {
+            method,
+            url: config.url,
+            path,
+            params: {},
+            query: {
+                ...Object.fromEntries(new URLSearchParams(queryString)),
+                ...config.params,
+                // As the other adapters, the data of GET, HEAD and DELETE requests is sent as query params
+                ...(this.constructor.QUERY_METHODS.includes(method) ? data : {}),
+            },
+            data,
+            headers: { ...config.headers },
+        };
+        this.history.push(request);
+
+        const signal = config.signal;
+        if (this.delay) {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(TransportAdapter.createAbortError(signal));
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, this.delay);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        if (signal?.aborted) {
+            throw TransportAdapter.createAbortError(signal);
+        }
+
+        let route = null;
+        for (const candidate of this.routes) {
+            if (candidate.method !== '*' && candidate.method !== method) continue;
+            const match = candidate.pattern.exec(path);
+            if (match) {
+                candidate.paramNames.forEach((name, index) => {
+                    request.params[name] = decodeURIComponent(match[index + 1]);
+                });
+                route = candidate;
+                break;
+            }
+        }
+
+        if (!route) {
+            throw TransportAdapter.createResponseError({
+                data: { message: `No mock handler for ${method} ${path}` },
+                status: 404,
+                headers: {},
+            }, config);
+        }
+
+        const result = typeof route.handler === 'function' ? await route.handler(request) : route.handler;
+        if (signal?.aborted) {
+            throw TransportAdapter.createAbortError(signal);
+        }
+        const response = {
+            data: result?.data ?? null,
+            status: result?.status ?? 200,
+            headers: { ...result?.headers },
+        };
+        if (response.status >= 400) {
+            throw TransportAdapter.createResponseError(response, config);
+        }
+        return response;
+    }
+}
+
+export { MockAdapter };
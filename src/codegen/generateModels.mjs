@@ -0,0 +1,365 @@
+/**
+ * Generates the Model subclasses of the schemas of an OpenAPI 3 document or a JSON Schema:
+ * the ENTITY_NAME and LIST_NAME, the endpoints, and the ATTRIBUTES_CONFIG with the types,
+ * the required flags, the validations and the relations.
+ *
+ * With OpenAPI, the endpoints and the envelopes of the responses are read from the paths that
+ * return or receive each schema. JSON Schema documents have no paths, so the endpoints follow
+ * the REST conventions: /{LIST_NAME} and /{LIST_NAME}/:id.
+ *
+ * This module has no dependencies, so it can run in Node (see bin/signal-query-models.mjs) and in the bundle.
+ */
+
+const HEADER = '// Generated by signal-query-models';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const toPascalCase = (name) => name
+    .replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => (char ?? '').toUpperCase())
+    .replace(/^./, (char) => char.toUpperCase());
+
+const toCamelCase = (name) => {
+    const pascal = toPascalCase(name);
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+};
+
+const pluralize = (name) => {
+    if (/[^aeiou]y$/.test(name)) return name.slice(0, -1) + 'ies';
+    if (/(s|x|z|ch|sh)$/.test(name)) return name + 'es';
+    return name + 's';
+};
+
+/**
+ * Returns the name of the schema of a local $ref: #/components/schemas/User, #/$defs/User or #/definitions/User
+ */
+const refName = (ref) => (typeof ref === 'string' ? ref.split('/').pop() : null);
+
+/**
+ * Returns the schemas of the document by name
+ */
+const readSchemas = (spec) => {
+    const schemas = spec.components?.schemas ?? spec.$defs ?? spec.definitions;
+    if (schemas) return schemas;
+    if (spec.properties && spec.title) return { [spec.title]: spec };
+    return {};
+};
+
+/**
+ * Returns the properties and the required names of a schema, merging the schemas of its allOf
+ */
+const readProperties = (schema, schemas) => {
+    const parts = [schema, ...(schema.allOf ?? []).map((part) => (part.$ref ? schemas[refName(part.$ref)] ?? {} : part))];
+    const properties = {};
+    const required = new Set();
+    for (const part of parts) {
+        Object.assign(properties, part.properties);
+        (part.required ?? []).forEach((name) => required.add(name));
+    }
+    return { properties, required };
+};
+
+/**
+ * Returns the JSON schema of the body of a request or a response
+ */
+const bodySchema = (body) => {
+    const content = body?.content ?? {};
+    return (content['application/json'] ?? Object.values(content)[0])?.schema ?? null;
+};
+
+/**
+ * Finds the model schema returned or received in a body: { name, kind: entity or list, envelope }
+ */
+const analyzeBody = (schema, models) => {
+    if (!schema) return null;
+    if (schema.$ref && models.has(refName(schema.$ref))) {
+        return { name: refName(schema.$ref), kind: 'entity', envelope: null };
+    }
+    if (schema.type === 'array' && schema.items?.$ref && models.has(refName(schema.items.$ref))) {
+        return { name: refName(schema.items.$ref), kind: 'list', envelope: null };
+    }
+    for (const [property, value] of Object.entries(schema.properties ?? {})) {
+        const found = analyzeBody(value, models);
+        if (found && !found.envelope) return { ...found, envelope: property };
+    }
+    return null;
+};
+
+/**
+ * Reads the endpoints and the envelopes of each model from the paths of an OpenAPI document
+ * @returns {Map} { endpoints, entityName, listName, raw } by the name of the schema
+ */
+const readPaths = (spec, models) => {
+    const found = new Map([...models].map((name) => [name, { endpoints: {}, entityName: null, listName: null, raw: false }]));
+    const pending = [];
+    for (const [url, item] of Object.entries(spec.paths ?? {})) {
+        const isItem = /\{[^}]+\}\/?$/.test(url);
+        for (const method of HTTP_METHODS) {
+            const operation = item[method];
+            if (!operation) continue;
+            const responses = Object.entries(operation.responses ?? {}).filter(([status]) => /^2/.test(status));
+            const body = responses.map(([, response]) => analyzeBody(bodySchema(response), models)).find(Boolean)
+                ?? analyzeBody(bodySchema(operation.requestBody), models);
+            if (!body) {
+                pending.push({ url, method, isItem });
+                continue;
+            }
+            const model = found.get(body.name);
+            const key = { get: isItem ? 'GET' : 'LIST', post: 'POST', put: 'PATCH', patch: 'PATCH', delete: 'DELETE' }[method];
+            if (key === 'PATCH' && model.endpoints.PATCH?.method === 'PATCH') continue;
+            model.endpoints[key] = { url, method: method.toUpperCase() };
+            if (body.kind === 'entity' && responses.length) {
+                model.entityName = model.entityName ?? body.envelope;
+                model.raw = model.raw || !body.envelope;
+            }
+            if (body.kind === 'list') {
+                model.listName = model.listName ?? body.envelope;
+                model.raw = model.raw || !body.envelope;
+            }
+        }
+    }
+    // The operations without body (like the deletes) belong to the model of the same item path
+    for (const { url, method, isItem } of pending) {
+        const model = [...found.values()].find(({ endpoints }) => isItem && (endpoints.GET?.url === url || endpoints.PATCH?.url === url));
+        if (!model) continue;
+        const key = { put: 'PATCH', patch: 'PATCH', delete: 'DELETE' }[method];
+        if (key && !model.endpoints[key]) {
+            model.endpoints[key] = { url, method: method.toUpperCase() };
+        }
+    }
+    return found;
+};
+
+/**
+ * Returns the configuration of an attribute from the schema of its property
+ */
+const readAttribute = (schema, classNames) => {
+    const config = {};
+    const related = schema.$ref ?? (schema.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+    if (related) {
+        if (classNames.has(refName(related))) {
+            return { type: 'belongsTo', model: classNames.get(refName(related)) };
+        }
+        return { type: 'object' };
+    }
+    if (schema.type === 'array' && schema.items?.$ref && classNames.has(refName(schema.items.$ref))) {
+        return { type: 'hasMany', model: classNames.get(refName(schema.items.$ref)) };
+    }
+    const type = Array.isArray(schema.type) ? schema.type.find((item) => item !== 'null') : schema.type;
+    if (schema.enum) {
+        config.type = 'enum';
+        config.values = schema.enum.filter((value) => value !== null);
+    } else if (type === 'string' && ['date', 'date-time'].includes(schema.format)) {
+        config.type = 'date';
+    } else if (type === 'string' && schema.format === 'uuid') {
+        config.type = 'uuid';
+    } else if (['integer', 'number'].includes(type)) {
+        config.type = 'number';
+    } else if (['string', 'boolean', 'array', 'object'].includes(type)) {
+        config.type = type;
+    }
+    const min = schema.minLength ?? schema.minimum ?? schema.minItems;
+    const max = schema.maxLength ?? schema.maximum ?? schema.maxItems;
+    if (min !== undefined) config.min = min;
+    if (max !== undefined) config.max = max;
+    if (schema.pattern) config.pattern = schema.pattern;
+    if (schema.default !== undefined && typeof schema.default !== 'object') config.default = schema.default;
+    return config;
+};
+
+/**
+ * Reads the definitions of the models of a document
+ * @param {Object} spec The OpenAPI 3 document or the JSON Schema
+ * @param {Object} options See generateModels
+ * @returns {Array<Object>} { schemaName, className, entityName, listName, primaryKey, raw, endpoints, attributes }
+ */
+const readModelDefinitions = (spec, options = {}) => {
+    const schemas = readSchemas(spec);
+    const names = Object.keys(schemas).filter((name) => {
+        const schema = schemas[name];
+        return (schema.type ?? 'object') === 'object' && (schema.properties || schema.allOf)
+            && (!options.schemas || options.schemas.includes(name));
+    });
+    const classNames = new Map(names.map((name) => [name, `${toPascalCase(name)}Model`]));
+    const paths = spec.paths ? readPaths(spec, new Set(names)) : null;
+
+    return names.sort().map((schemaName) => {
+        const { properties, required } = readProperties(schemas[schemaName], schemas);
+        const found = paths?.get(schemaName);
+        const entityName = found?.entityName ?? toCamelCase(schemaName);
+        const listName = found?.listName ?? pluralize(entityName);
+        const primaryKey = options.primaryKeys?.[schemaName]
+            ?? ('id' in properties ? 'id' : Object.keys(properties).find((name) => properties[name].readOnly) ?? 'id');
+
+        const attributes = {};
+        if (!(primaryKey in properties)) {
+            attributes[toCamelCase(primaryKey)] = {};
+        }
+        for (const [property, schema] of Object.entries(properties)) {
+            const attribute = toCamelCase(property);
+            const config = readAttribute(schema, classNames);
+            if (required.has(property) && property !== primaryKey && !schema.readOnly) {
+                config.required = true;
+            }
+            if (attribute !== property) {
+                config.apiName = property;
+            }
+            attributes[attribute] = config;
+        }
+
+        let endpoints = found?.endpoints ?? {};
+        if (!paths) {
+            const collection = `${options.baseUrl ?? ''}/${listName}`;
+            const item = `${collection}/:id`;
+            endpoints = {
+                LIST: { url: collection, method: 'GET' },
+                GET: { url: item, method: 'GET' },
+                POST: { url: collection, method: 'POST' },
+                PATCH: { url: item, method: 'PATCH' },
+                DELETE: { url: item, method: 'DELETE' },
+            };
+        }
+        // The params are replaced by the values of the attributes, and the one at the end of the item URLs by the ID
+        endpoints = Object.fromEntries(Object.entries(endpoints).map(([key, endpoint]) => [key, {
+            ...endpoint,
+            url: endpoint.url
+                .replace(/\{([^}]+)\}(\/?)$/, (match, param, slash) => (
+                    param in properties && param !== primaryKey ? match : `:id${slash}`
+                ))
+                .replace(/\{([^}]+)\}/g, (match, param) => `:${toCamelCase(param)}`),
+        }]));
+
+        return {
+            schemaName,
+            className: classNames.get(schemaName),
+            entityName,
+            listName,
+            primaryKey: toCamelCase(primaryKey),
+            raw: found?.raw ?? false,
+            endpoints,
+            attributes,
+        };
+    });
+};
+
+/**
+ * Writes a value as JavaScript source
+ */
+const toSource = (value) => {
+    if (Array.isArray(value)) return `[${value.map(toSource).join(', ')}]`;
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    return String(value);
+};
+
+const attributeSource = (config) => {
+    const entries = Object.entries(config).map(([key, value]) => (
+        key === 'model' ? `model: () => ${value}` : `${key}: ${toSource(value)}`
+    ));
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+};
+
+const propertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : toSource(name));
+
+/**
+ * Writes the file of a model
+ */
+const modelSource = (definition, options) => {
+    const importFrom = options.importFrom ?? 'signal-query-models';
+    const related = [...new Set(Object.values(definition.attributes)
+        .map((config) => config.model)
+        .filter((className) => className && className !== definition.className))].sort();
+    const imports = [definition.raw ? 'Model, RawSerializer' : 'Model'];
+    const lines = [
+        `${HEADER} from the ${definition.schemaName} schema. Run the generator again instead of editing this file.`,
+        `import { ${imports.join(', ')} } from '${importFrom}';`,
+        ...related.map((className) => `import { ${className} } from './${className}.js';`),
+        '',
+        `class ${definition.className} extends Model {`,
+        '',
+        `    static ENTITY_NAME = ${toSource(definition.entityName)};`,
+        '',
+        `    static LIST_NAME = ${toSource(definition.listName)};`,
+    ];
+    if (definition.primaryKey !== 'id') {
+        lines.push('', `    static PRIMARY_KEY = ${toSource(definition.primaryKey)};`);
+    }
+    if (definition.raw) {
+        lines.push('', '    static SERIALIZER = new RawSerializer();');
+    }
+    for (const key of ['LIST', 'GET', 'POST', 'PATCH', 'DELETE']) {
+        const endpoint = definition.endpoints[key];
+        if (!endpoint) continue;
+        lines.push('', `    static ${key}_ENDPOINT() { return { url: ${toSource(endpoint.url)}, method: ${toSource(endpoint.method)} }; }`);
+    }
+    lines.push('', '    static ATTRIBUTES_CONFIG = {');
+    for (const [attribute, config] of Object.entries(definition.attributes)) {
+        lines.push(`        ${propertyKey(attribute)}: ${attributeSource(config)},`);
+    }
+    lines.push('    };', '}', '', `export { ${definition.className} };`, '');
+    return lines.join('\n');
+};
+
+/**
+ * Generates the files of the Model subclasses of a document
+ * @param {Object} spec The OpenAPI 3 document or the JSON Schema, parsed
+ * @param {Object} options
+ *                  - importFrom: The module to import Model from. 'signal-query-models' by default
+ *                  - schemas: The names of the schemas to generate. All the object schemas by default
+ *                  - primaryKeys: The primary key of the schemas without an `id` property: { Schema: 'code' }
+ *                  - baseUrl: The prefix of the URLs of the endpoints of the JSON Schema documents
+ *                  - index: Generate an index.js that exports all the models. True by default
+ * @returns {Array<Object>} The files: { fileName, code }
+ */
+const generateModels = (spec, options = {}) => {
+    const definitions = readModelDefinitions(spec, options);
+    const files = definitions.map((definition) => ({
+        fileName: `${definition.className}.js`,
+        code: modelSource(definition, options),
+    }));
+    if (options.index ?? true) {
+        files.push({
+            fileName: 'index.js',
+            code: [
+                `${HEADER}. Run the generator again instead of editing this file.`,
+                ...definitions.map(({ className }) => `export { ${className} } from './${className}.js';`),
+                '',
+            ].join('\n'),
+        });
+    }
+    return files;
+};
+
+/**
+ * Compares the existing files of the models with the ones generated from the document
+ * @param {Object} spec The OpenAPI 3 document or the JSON Schema, parsed
+ * @param {Object} existingFiles The content of the existing files by file name
+ * @param {Object} options The options of generateModels
+ * @returns {Array<Object>} The differences: { fileName, type: missing, changed or extra, line, expected, actual }.
+ *                          The extra files are the generated ones whose schema is not in the document anymore
+ */
+const checkModels = (spec, existingFiles, options = {}) => {
+    const problems = [];
+    const generated = generateModels(spec, options);
+    for (const { fileName, code } of generated) {
+        const existing = existingFiles[fileName];
+        if (existing === undefined) {
+            problems.push({ fileName, type: 'missing' });
+            continue;
+        }
+        const expectedLines = code.split('\n');
+        const actualLines = existing.replace(/\r\n/g, '\n').split('\n');
+        const index = expectedLines.findIndex((line, position) => line !== actualLines[position]);
+        if (index !== -1 || actualLines.length !== expectedLines.length) {
+            const line = index === -1 ? expectedLines.length : index;
+            problems.push({ fileName, type: 'changed', line: line + 1, expected: expectedLines[line], actual: actualLines[line] });
+        }
+    }
+    const generatedNames = new Set(generated.map(({ fileName }) => fileName));
+    for (const [fileName, content] of Object.entries(existingFiles)) {
+        if (!generatedNames.has(fileName) && content.startsWith(HEADER)) {
+            problems.push({ fileName, type: 'extra' });
+        }
+    }
+    return problems;
+};
+
+export { readModelDefinitions, generateModels, checkModels };
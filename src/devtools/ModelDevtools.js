@@ -0,0 +1,361 @@
+import { signal } from '@preact/signals-react';
+import { Model } from '../Model.js';
+
+/**
+ * Returns the NODE_ENV, or undefined when `process` does not exist (browsers without a bundler).
+ * It reads `process.env.NODE_ENV` as it is, because bundlers replace that expression and not `process`:
+ * a `typeof process` check would be false in a production bundle and enable the devtools.
+ */
+const readNodeEnv = () => {
+    try {
+        return process.env.NODE_ENV;
+    } catch (error) {
+        return undefined;
+    }
+};
+
+/**
+ * The devtools are only available outside production. The devtools entry (signal-query-models/devtools)
+ * is not imported by the main one, so they are only bundled when the app imports them.
+ */
+const DEVTOOLS_ENABLED = readNodeEnv() !== 'production';
+
+const now = () => (globalThis.performance ?? Date).now();
+
+/**
+ * Inspector of the live models: the instances of each class with their data and their changes,
+ * the entries of the QueryClients, and a timeline of the attribute changes and the requests.
+ * It registers a global middleware (see Middleware.js), so it sees every request of every Model.
+ *
+ *     const devtools = createDevtools({ models: [UserModel, PostModel] });
+ *     devtools.getSnapshot(); // { models, queries, timeline }
+ *
+ * The classes are registered automatically when one of their instances changes or sends a request.
+ *
+ * @property {Set<typeof Model>} models The registered Model subclasses
+ * @property {Signal<Array>} timeline The recorded events, oldest first:
+ *                                    { id, type: change or request, time, entity, modelId, ... }
+ * @property {Signal<number>} version Increases on every change seen by the devtools, to re-render the panel
+ * @property {number} maxEvents The number of events kept in the timeline
+ */
+class ModelDevtools {
+
+    models = new Set();
+
+    timeline = signal([]);
+
+    version = signal(0);
+
+    maxEvents = 200;
+
+    /**
+     * The instances without ID seen by the devtools, that are not in any identity map
+     */
+    _newInstances = new Set();
+
+    /**
+     * The QueryClients whose cache is observed, with the function to stop observing it
+     */
+    _queryClients = new Map();
+
+    _removeMiddleware = null;
+
+    _lastEventId = 0;
+
+    /**
+     * @param {Object} options
+     *                  - models: The Model subclasses to inspect
+     *                  - maxEvents: The number of events kept in the timeline. 200 by default
+     */
+    constructor(options = {}) {
+        this.maxEvents = options.maxEvents ?? this.maxEvents;
+        this.register(...(options.models ?? []));
+    }
+
+    /**
+     * Starts recording the requests and the changes of every Model
+     * @returns {Function} The function to uninstall the devtools
+     */
+    install() {
+        if (!this._removeMiddleware) {
+            this._removeMiddleware = Model.use(this._createMiddleware());
+            this.models.forEach((ModelClass) => this._observe(ModelClass.QueryClient));
+        }
+        return () => this.uninstall();
+    }
+
+    /**
+     * Stops recording and observing the caches
+     */
+    uninstall() {
+        this._removeMiddleware?.();
+        this._removeMiddleware = null;
+        this._queryClients.forEach((unsubscribe) => unsubscribe());
+        this._queryClients.clear();
+    }
+
+    /**
+     * Registers the Model subclasses to inspect
+     * @param {...typeof Model} models The Model subclasses
+     */
+    register(...models) {
+        for (const ModelClass of models) {
+            if (this.models.has(ModelClass)) continue;
+            this.models.add(ModelClass);
+            this._observe(ModelClass.QueryClient);
+        }
+        this._touch();
+    }
+
+    /**
+     * Returns the live instances of a class: the ones in its identity map and the new ones seen by the devtools
+     * @param {typeof Model} ModelClass The class of the entities
+     * @returns {Array<Model>} The instances
+     */
+    getInstances(ModelClass) {
+        const instances = new Set();
+        for (const queryClient of this._getQueryClients()) {
+            ModelClass.getIdentityMap(queryClient).forEach((instance) => instances.add(instance));
+        }
+        for (const reference of this._newInstances) {
+            const instance = reference.deref();
+            if (!instance) {
+                this._newInstances.delete(reference);
+            } else if (instance.constructor === ModelClass && !instances.has(instance)) {
+                instances.add(instance);
+            }
+        }
+        return [...instances];
+    }
+
+    /**
+     * Returns the state of an instance
+     * @param {Model} instance The instance to inspect
+     * @returns {Object} { id, isPersisted, isDirty, pendingSync, data, originalData, changes, errors }
+     */
+    inspect(instance) {
+        return {
+            id: instance.getId(),
+            isPersisted: instance.isPersisted,
+            isDirty: instance.isDirty.peek(),
+            pendingSync: instance.pendingSync.peek(),
+            data: instance.toJSON(),
+            originalData: instance.originalData?.getObject() ?? null,
+            changes: instance.changes.peek(),
+            errors: instance.data.getErrors(),
+        };
+    }
+
+    /**
+     * Returns the registered classes with the state of their live instances
+     * @returns {Array<Object>} [{ ModelClass, name, entityName, instances: [{ instance, ...inspect(instance) }] }]
+     */
+    getModels() {
+        return [...this.models].map((ModelClass) => ({
+            ModelClass,
+            name: ModelClass.name,
+            entityName: ModelClass.ENTITY_NAME,
+            instances: this.getInstances(ModelClass).map((instance) => ({ instance, ...this.inspect(instance) })),
+        }));
+    }
+
+    /**
+     * Returns the entries of the registered classes in the QueryClients: [ENTITY_NAME, id] and [ENTITY_NAME, 'list', filters]
+     * @returns {Array<Object>} [{ queryKey, queryClient, entity, isList, status, isStale, isFetching, observers, dataUpdatedAt, data }]
+     */
+    getQueries() {
+        const entities = new Set([...this.models].map((ModelClass) => ModelClass.ENTITY_NAME));
+        const queries = [];
+        for (const queryClient of this._getQueryClients()) {
+            for (const query of queryClient.getQueryCache().getAll()) {
+                const [entity, second] = query.queryKey;
+                if (!entities.has(entity)) continue;
+                queries.push({
+                    queryKey: query.queryKey,
+                    queryClient,
+                    entity,
+                    isList: second === 'list',
+                    status: query.state.status,
+                    isStale: query.isStale(),
+                    isFetching: query.state.fetchStatus === 'fetching',
+                    observers: query.getObserversCount(),
+                    dataUpdatedAt: query.state.dataUpdatedAt,
+                    data: query.state.data,
+                });
+            }
+        }
+        return queries;
+    }
+
+    /**
+     * Returns the whole state inspected by the devtools
+     * @returns {Object} { models, queries, timeline }
+     */
+    getSnapshot() {
+        return { models: this.getModels(), queries: this.getQueries(), timeline: this.timeline.peek() };
+    }
+
+    /**
+     * Changes the value of an attribute of an instance, as if it was changed by the app
+     */
+    setAttribute(instance, attribute, value) {
+        instance[attribute] = value;
+    }
+
+    /**
+     * Discards the changes of an instance
+     */
+    restore(instance) {
+        instance.restore();
+        this._touch();
+    }
+
+    /**
+     * Replaces the data of an entry of the cache
+     * @param {Array} queryKey The key of the entry
+     * @param {*} data The new data
+     * @param {QueryClient} queryClient The QueryClient of the entry. The first one that has it by default
+     */
+    setQueryData(queryKey, data, queryClient = this._findQueryClient(queryKey)) {
+        queryClient?.setQueryData(queryKey, data);
+    }
+
+    /**
+     * Marks an entry of the cache as stale and refetches it if it is being used
+     */
+    invalidate(queryKey, queryClient = this._findQueryClient(queryKey)) {
+        return queryClient?.invalidateQueries({ queryKey, exact: true });
+    }
+
+    /**
+     * Removes an entry from the cache. The instance of its entity is released from the identity map
+     */
+    removeQuery(queryKey, queryClient = this._findQueryClient(queryKey)) {
+        queryClient?.removeQueries({ queryKey, exact: true });
+    }
+
+    /**
+     * Removes the recorded events
+     */
+    clearTimeline() {
+        this.timeline.value = [];
+        this._touch();
+    }
+
+    /**
+     * Returns the middleware that records the requests and the changes in the timeline
+     */
+    _createMiddleware() {
+        return {
+            beforeRequest: (context) => {
+                this._track(context.ModelClass, context.model);
+                const event = this._record({
+                    type: 'request',
+                    entity: context.ModelClass.ENTITY_NAME,
+                    modelId: context.model?.getId() ?? null,
+                    method: context.method,
+                    url: context.config?.url,
+                    httpMethod: context.config?.method,
+                    attempt: context.attempt,
+                    payload: context.data,
+                    status: 'pending',
+                });
+                return { ...context, devtoolsEventId: event.id };
+            },
+            afterResponse: (response, context) => {
+                this._update(context.devtoolsEventId, (event) => ({
+                    status: 'success',
+                    httpStatus: response?.status,
+                    response: response?.data,
+                    duration: now() - event.time,
+                }));
+            },
+            onError: (error, context) => {
+                this._update(context.devtoolsEventId, (event) => ({
+                    status: 'error',
+                    httpStatus: error?.status,
+                    error,
+                    duration: now() - event.time,
+                }));
+            },
+            onChange: ({ model, attribute, value, previous }) => {
+                this._track(model.constructor, model);
+                this._record({
+                    type: 'change',
+                    entity: model.constructor.ENTITY_NAME,
+                    modelId: model.getId() ?? null,
+                    attribute,
+                    value,
+                    previous,
+                });
+            },
+        };
+    }
+
+    /**
+     * Registers the class of an instance, and keeps a weak reference to it while it has no ID
+     */
+    _track(ModelClass, instance) {
+        if (!this.models.has(ModelClass)) {
+            this.register(ModelClass);
+        }
+        this._observe(instance?.getQueryClient());
+        if (instance && !instance.hasId() && typeof WeakRef !== 'undefined'
+            && ![...this._newInstances].some((reference) => reference.deref() === instance)) {
+            this._newInstances.add(new WeakRef(instance));
+        }
+    }
+
+    /**
+     * Observes the cache of a QueryClient, to refresh the panel when its entries change
+     */
+    _observe(queryClient) {
+        if (!queryClient || this._queryClients.has(queryClient)) return;
+        this._queryClients.set(queryClient, queryClient.getQueryCache().subscribe(() => this._touch()));
+    }
+
+    _getQueryClients() {
+        return [...this._queryClients.keys()];
+    }
+
+    _findQueryClient(queryKey) {
+        return this._getQueryClients().find((queryClient) => queryClient.getQueryCache().find({ queryKey, exact: true }));
+    }
+
+    /**
+     * Adds an event to the timeline, discarding the oldest ones beyond maxEvents
+     */
+    _record(event) {
+        const recorded = { id: ++this._lastEventId, time: now(), ...event };
+        this.timeline.value = [...this.timeline.peek(), recorded].slice(-this.maxEvents);
+        this._touch();
+        return recorded;
+    }
+
+    /**
+     * Updates an event of the timeline with the changes returned by the function
+     */
+    _update(id, getChanges) {
+        this.timeline.value = this.timeline.peek().map((event) => (event.id === id ? { ...event, ...getChanges(event) } : event));
+        this._touch();
+    }
+
+    _touch() {
+        this.version.value = this.version.peek() + 1;
+    }
+}
+
+/**
+ * Creates and installs the devtools. In production it does nothing and returns null,
+ * so the devtools are removed from the production builds.
+ * @param {Object} options See ModelDevtools
+ * @returns {ModelDevtools|null} The devtools
+ */
+const createDevtools = (options = {}) => {
+    if (!DEVTOOLS_ENABLED) return null;
+    const devtools = new ModelDevtools(options);
+    devtools.install();
+    return devtools;
+};
+
+export { ModelDevtools, createDevtools, DEVTOOLS_ENABLED };
@@ -0,0 +1,186 @@
+import { createElement as h, useState } from 'react';
+import { DEVTOOLS_ENABLED } from './ModelDevtools.js';
+
+const TABS = ['Models', 'Cache', 'Timeline'];
+
+const styles = {
+    panel: {
+        position: 'fixed', left: 0, right: 0, bottom: 0, maxHeight: '45vh', overflow: 'auto', zIndex: 99999,
+        background: '#1e1e24', color: '#e6e6e6', font: '12px/1.5 monospace', borderTop: '2px solid #6c5ce7',
+    },
+    toggle: {
+        position: 'fixed', right: 8, bottom: 8, zIndex: 99999, padding: '4px 8px',
+        background: '#6c5ce7', color: '#fff', border: 0, borderRadius: 4, font: '12px monospace', cursor: 'pointer',
+    },
+    bar: { display: 'flex', gap: 8, padding: 6, borderBottom: '1px solid #333', position: 'sticky', top: 0, background: '#1e1e24' },
+    tab: (active) => ({ background: active ? '#6c5ce7' : 'transparent', color: 'inherit', border: '1px solid #6c5ce7', borderRadius: 3, cursor: 'pointer', font: 'inherit' }),
+    section: { padding: '4px 8px' },
+    table: { borderCollapse: 'collapse', width: '100%' },
+    cell: { padding: '1px 6px', borderBottom: '1px solid #2c2c34', verticalAlign: 'top' },
+    dirty: { color: '#fdcb6e' },
+    error: { color: '#ff7675' },
+    muted: { color: '#8c8c9a' },
+    input: { background: '#2c2c34', color: 'inherit', border: '1px solid #444', font: 'inherit', width: '100%' },
+};
+
+const format = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value === undefined) return 'undefined';
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+};
+
+/**
+ * Parses the text of an input as JSON, or keeps it as a string when it is not valid JSON
+ */
+const parse = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+};
+
+const Cell = ({ style, children }) => h('td', { style: { ...styles.cell, ...style } }, children);
+
+/**
+ * Input that applies the value when it loses the focus or on Enter
+ */
+const EditableValue = ({ value, onChange }) => h('input', {
+    key: format(value),
+    defaultValue: format(value),
+    style: styles.input,
+    onBlur: (event) => {
+        if (event.target.value !== format(value)) onChange(parse(event.target.value));
+    },
+    onKeyDown: (event) => {
+        if (event.key === 'Enter') event.target.blur();
+    },
+});
+
+const InstanceDetails = ({ devtools, item }) => {
+    const attributes = Object.keys(item.instance.data.attributesConfig);
+    return h('details', { style: styles.section },
+        h('summary', null,
+            `#${format(item.id)} `,
+            item.isPersisted ? '' : h('span', { style: styles.muted }, 'new '),
+            item.isDirty ? h('span', { style: styles.dirty }, `dirty: ${Object.keys(item.changes).join(', ')} `) : null,
+            item.pendingSync ? h('span', { style: styles.muted }, 'pending sync ') : null,
+            Object.keys(item.errors).length ? h('span', { style: styles.error }, `errors: ${Object.keys(item.errors).join(', ')}`) : null,
+        ),
+        h('table', { style: styles.table },
+            h('thead', null, h('tr', null, ['Attribute', 'Value', 'Original'].map((title) => h('th', { key: title, style: styles.cell }, title)))),
+            h('tbody', null, attributes.map((attribute) => h('tr', { key: attribute, style: attribute in item.changes ? styles.dirty : null },
+                h(Cell, null, attribute),
+                h(Cell, null, h(EditableValue, {
+                    value: item.data[attribute],
+                    onChange: (value) => devtools.setAttribute(item.instance, attribute, value),
+                })),
+                h(Cell, { style: styles.muted }, format(item.originalData?.[attribute])),
+            ))),
+        ),
+        item.isDirty ? h('button', { onClick: () => devtools.restore(item.instance) }, 'Restore') : null,
+    );
+};
+
+const ModelsTab = ({ devtools, snapshot }) => snapshot.models.map((model) => h('div', { key: model.entityName, style: styles.section },
+    h('strong', null, `${model.name} (${model.instances.length})`),
+    model.instances.map((item) => h(InstanceDetails, { key: format(item.id) + item.isPersisted, devtools, item })),
+));
+
+const QueryRow = ({ devtools, query }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    return h('tr', null,
+        h(Cell, null, format(query.queryKey)),
+        h(Cell, { style: query.status === 'error' ? styles.error : null }, query.isFetching ? 'fetching' : query.status),
+        h(Cell, { style: query.isStale ? styles.dirty : null }, query.isStale ? 'stale' : 'fresh'),
+        h(Cell, null, query.observers),
+        h(Cell, { style: styles.muted }, query.dataUpdatedAt ? new Date(query.dataUpdatedAt).toLocaleTimeString() : '-'),
+        h(Cell, null, isEditing
+            ? h('textarea', {
+                defaultValue: JSON.stringify(query.data, null, 2),
+                rows: 6,
+                style: styles.input,
+                onBlur: (event) => {
+                    devtools.setQueryData(query.queryKey, parse(event.target.value), query.queryClient);
+                    setIsEditing(false);
+                },
+            })
+            : h('details', null, h('summary', null, 'data'), h('pre', null, JSON.stringify(query.data, null, 2)))),
+        h(Cell, null,
+            h('button', { onClick: () => devtools.invalidate(query.queryKey, query.queryClient) }, 'Invalidate'),
+            h('button', { onClick: () => setIsEditing(true) }, 'Edit'),
+            h('button', { onClick: () => devtools.removeQuery(query.queryKey, query.queryClient) }, 'Remove'),
+        ),
+    );
+};
+
+const CacheTab = ({ devtools, snapshot }) => h('table', { style: styles.table },
+    h('thead', null, h('tr', null, ['Key', 'Status', 'Freshness', 'Observers', 'Updated', 'Data', ''].map((title) => h('th', { key: title, style: styles.cell }, title)))),
+    h('tbody', null, snapshot.queries.map((query) => h(QueryRow, { key: format(query.queryKey), devtools, query }))),
+);
+
+const describeEvent = (event) => {
+    if (event.type === 'change') {
+        return `${event.attribute}: ${format(event.previous)} → ${format(event.value)}`;
+    }
+    const duration = event.duration === undefined ? '' : ` ${Math.round(event.duration)}ms`;
+    return `${event.method} ${event.httpMethod ?? ''} ${event.url ?? ''} ${event.status}${event.httpStatus ? ` ${event.httpStatus}` : ''}${duration}`;
+};
+
+const TimelineTab = ({ devtools, snapshot }) => h('div', { style: styles.section },
+    h('button', { onClick: () => devtools.clearTimeline() }, 'Clear'),
+    [...snapshot.timeline].reverse().map((event) => h('details', { key: event.id },
+        h('summary', { style: event.status === 'error' ? styles.error : null },
+            h('span', { style: styles.muted }, `${(event.time / 1000).toFixed(3)}s `),
+            `${event.entity}#${format(event.modelId)} `,
+            describeEvent(event),
+        ),
+        event.type === 'request'
+            ? h('pre', null, JSON.stringify({ payload: event.payload, response: event.response, error: event.error?.message }, null, 2))
+            : null,
+    )),
+);
+
+const Panel = ({ devtools, initialIsOpen = false }) => {
+    const [isOpen, setIsOpen] = useState(initialIsOpen);
+    const [tab, setTab] = useState(TABS[0]);
+    // Reading the signal re-renders the panel on every change seen by the devtools
+    devtools.version.value;
+
+    if (!isOpen) {
+        return h('button', { style: styles.toggle, onClick: () => setIsOpen(true) }, 'Models');
+    }
+    const snapshot = devtools.getSnapshot();
+    const content = { Models: ModelsTab, Cache: CacheTab, Timeline: TimelineTab }[tab];
+    return h('div', { style: styles.panel },
+        h('div', { style: styles.bar },
+            TABS.map((name) => h('button', { key: name, style: styles.tab(name === tab), onClick: () => setTab(name) }, name)),
+            h('span', { style: { flex: 1 } }),
+            h('button', { style: styles.tab(false), onClick: () => setIsOpen(false) }, 'Close'),
+        ),
+        h(content, { devtools, snapshot }),
+    );
+};
+
+/**
+ * Panel of the devtools: the live instances with their dirty attributes, the entries of the cache
+ * and the timeline. The values of the attributes and the data of the entries can be edited,
+ * and the entries can be invalidated or removed. It renders nothing in production.
+ *
+ *     const devtools = createDevtools({ models: [UserModel] });
+ *     <ModelDevtoolsPanel devtools={devtools} />
+ *
+ * @param {Object} props
+ *                  - devtools: The ModelDevtools to show
+ *                  - initialIsOpen: Opens the panel on the first render. False by default
+ */
+const ModelDevtoolsPanel = (props) => {
+    if (!DEVTOOLS_ENABLED || !props.devtools) return null;
+    return h(Panel, props);
+};
+
+export { ModelDevtoolsPanel };
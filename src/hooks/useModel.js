@@ -0,0 +1,38 @@
+import { useEffect, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useModelQueryClient } from '../ModelProvider.js';
+
+/**
+ * Hook to get a single entity through React Query.
+ * The query shares the key with Model.fetchQuery, so both use the same cached data.
+ * The returned model is signal-backed: components reading its attributes re-render when they change.
+ * It uses the QueryClient of the closest ModelProvider, or the static QueryClient of the model.
+ * The request is cancelled when the component unmounts before it finishes, unless other components use the query.
+ *
+ * @param {typeof Model} ModelClass The class of the entity
+ * @param {number|string|Object} id The ID of the entity (see PRIMARY_KEY). The query is disabled while it is empty
+ * @param {Object} options Extra options for useQuery
+ * @returns {Object} The useQuery result plus the `model` instance
+ */
+const useModel = (ModelClass, id, options = {}) => {
+    const queryClient = useModelQueryClient(ModelClass);
+    // Composite IDs are compared by their value, not by the object passed on each render
+    const idKey = ModelClass._identityKey(id);
+    const model = useMemo(() => new ModelClass(ModelClass.idToData(id), { queryClient }), [ModelClass, idKey, queryClient]);
+
+    const query = useQuery({
+        queryKey: ModelClass.getQueryKey(model.getId()),
+        queryFn: model._fetchData,
+        enabled: id !== undefined && id !== null,
+        ...options,
+    }, queryClient);
+
+    // The changes of the query do not discard the unsaved changes of the model
+    useEffect(() => {
+        model._mergeQueryData(query.data);
+    }, [model, query.data]);
+
+    return { ...query, model };
+}
+
+export { useModel };
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { ModelCollection } from '../ModelCollection.js';
+import { useModelQueryClient } from '../ModelProvider.js';
+
+/**
+ * Hook to use a ModelCollection in a component.
+ * The collection is created once, connected on mount and disconnected on unmount.
+ * Its state is signal-backed: changing page, sort or search refetches the list and
+ * re-renders the components that read its items.
+ *
+ * @param {typeof Model} ModelClass The class of the entities
+ * @param {Object} options The initial state of the collection (see ModelCollection)
+ * @returns {ModelCollection} The collection
+ */
+const useModelCollection = (ModelClass, options = {}) => {
+    const queryClient = useModelQueryClient(ModelClass);
+    const [collection] = useState(() => new ModelCollection(ModelClass, { queryClient, ...options, autoConnect: false }));
+
+    useEffect(() => collection.connect(), [collection]);
+
+    return collection;
+}
+
+export { useModelCollection };
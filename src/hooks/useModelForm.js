@@ -0,0 +1,119 @@
+import { useMemo } from 'react';
+import { signal, batch } from '@preact/signals-react';
+
+/**
+ * Reads the value of an input event, or takes the argument as the value when it is not an event
+ */
+const readInputValue = (eventOrValue) => {
+    const target = eventOrValue?.target;
+    if (!target) return eventOrValue;
+    return target.type === 'checkbox' ? target.checked : target.value;
+};
+
+/**
+ * Hook to edit an entity in a form. The fields are bound to the signals of its DataModel,
+ * so the components that read them re-render when they change.
+ *
+ *     const form = useModelForm(user, { onSuccess: () => navigate('/users') });
+ *     <form onSubmit={form.submit}>
+ *         <input {...form.field('name')} />
+ *         {form.field('name').error}
+ *     </form>
+ *
+ * submit() creates or updates the entity with save(). The validation errors returned by the server
+ * are shown in the fields, and the error of the last submit is in `error`.
+ *
+ * @param {Model} model The entity to edit
+ * @param {Object} options
+ *                  - saveOptions: The options for save(), like optimistic or onConflict
+ *                  - validateOnBlur: Validates each field when it loses the focus. True by default
+ *                  - onSuccess: Called with the response data and the model after saving
+ *                  - onError: Called with the error when the submit fails
+ * @returns {Object} { field, submit, reset, isSubmitting, isDirty, isValid, error, model }
+ */
+const useModelForm = (model, options = {}) => {
+    const state = useMemo(() => ({
+        touched: signal({}),
+        isSubmitting: signal(false),
+        error: signal(null),
+    }), [model]);
+    const { validateOnBlur = true } = options;
+
+    /**
+     * Returns the bindings of an attribute for an input: { name, value, onChange, onBlur, error, touched }
+     */
+    const field = (name) => {
+        if (!(name in model.data.attributesConfig)) {
+            throw new Error(`Unknown attribute ${name} on ${model.constructor.name}`);
+        }
+        return {
+            name,
+            value: model.data.getProperty(name).value ?? '',
+            onChange: (eventOrValue) => {
+                model.data[name] = readInputValue(eventOrValue);
+            },
+            onBlur: () => {
+                state.touched.value = { ...state.touched.peek(), [name]: true };
+                if (validateOnBlur) {
+                    model.data.validateAttribute(name);
+                }
+            },
+            error: model.data.errors[name].value[0] ?? null,
+            touched: Boolean(state.touched.value[name]),
+        };
+    };
+
+    /**
+     * Validates and saves the entity: post() when it is not persisted, patch() otherwise.
+     * It can be used as the onSubmit handler of the form.
+     * @returns {Promise} Resolves with the response data, or with null when the submit fails
+     */
+    const submit = async (event) => {
+        event?.preventDefault?.();
+        if (state.isSubmitting.peek()) return null;
+        const touched = {};
+        Object.keys(model.data.attributesConfig).forEach((name) => { touched[name] = true; });
+        batch(() => {
+            state.touched.value = touched;
+            state.isSubmitting.value = true;
+            state.error.value = null;
+        });
+        try {
+            const response = await model.save(options.saveOptions);
+            model.getQueryClient().invalidateQueries({ queryKey: model.constructor.getListQueryKey() });
+            options.onSuccess?.(response, model);
+            return response;
+        } catch (error) {
+            state.error.value = error;
+            options.onError?.(error);
+            return null;
+        } finally {
+            state.isSubmitting.value = false;
+        }
+    };
+
+    /**
+     * Discards the changes, the errors and the touched fields
+     */
+    const reset = () => {
+        batch(() => {
+            model.restore();
+            model.data.setErrors(Object.fromEntries(Object.keys(model.data.attributesConfig).map((name) => [name, []])));
+            state.touched.value = {};
+            state.error.value = null;
+        });
+    };
+
+    return {
+        field,
+        submit,
+        reset,
+        isSubmitting: state.isSubmitting.value,
+        isDirty: model.isDirty.value,
+        isValid: model.data.isValid.value,
+        error: state.error.value,
+        model,
+    };
+}
+
+export { useModelForm };
@@ -0,0 +1,35 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueryBuilder } from '../QueryBuilder.js';
+import { useModelQueryClient } from '../ModelProvider.js';
+
+/**
+ * Hook to get a list of entities through React Query.
+ * Each entity of the list is also stored in its own [ENTITY_NAME, id] query by Model.list, so useModel
+ * and fetchQuery can reuse it without another request.
+ * The request is cancelled when the filters change before it finishes, or when the component unmounts.
+ *
+ * @param {typeof Model} ModelClass The class of the entities
+ * @param {Object|QueryBuilder} filters The filters to be applied to the list (see Model.list), or a query
+ * @param {Object} options Extra options for useQuery
+ * @returns {Object} The useQuery result plus `list`, `recordsTotal` and `recordsFiltered`
+ */
+const useModelList = (ModelClass, filters = {}, options = {}) => {
+    if (filters instanceof QueryBuilder) {
+        filters = filters.toFilters();
+    }
+    const queryClient = useModelQueryClient(ModelClass);
+    const query = useQuery({
+        queryKey: ModelClass.getListQueryKey(filters),
+        queryFn: ({ signal }) => ModelClass.list(filters, { queryClient, signal }),
+        ...options,
+    }, queryClient);
+
+    return {
+        ...query,
+        list: query.data?.list ?? [],
+        recordsTotal: query.data?.recordsTotal ?? 0,
+        recordsFiltered: query.data?.recordsFiltered ?? 0,
+    };
+}
+
+export { useModelList };
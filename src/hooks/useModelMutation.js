@@ -0,0 +1,32 @@
+import { useMutation } from '@tanstack/react-query';
+
+/**
+ * Hook to persist an entity through React Query mutations.
+ * On success, the list queries of the entity are invalidated so they include the changes.
+ * It uses the QueryClient of the model.
+ *
+ * @param {Model} model The entity to persist
+ * @param {string} method The method of the model to call: post, patch, save or delete
+ * @param {Object} options Extra options for useMutation
+ * @returns {Object} The useMutation result plus the `model` instance
+ */
+const useModelMutation = (model, method = 'patch', options = {}) => {
+    if (!['post', 'patch', 'save', 'delete'].includes(method)) {
+        throw new Error(`Invalid mutation method: ${method}`);
+    }
+    const ModelClass = model.constructor;
+    const queryClient = model.getQueryClient();
+
+    const mutation = useMutation({
+        mutationFn: (...args) => model[method](...args),
+        ...options,
+        onSuccess: (...args) => {
+            queryClient.invalidateQueries({ queryKey: ModelClass.getListQueryKey() });
+            return options.onSuccess?.(...args);
+        },
+    }, queryClient);
+
+    return { ...mutation, model };
+}
+
+export { useModelMutation };
@@ -0,0 +1,74 @@
+/**
+ * Storage for the offline queue based on IndexedDB. Useful when the queue can be
+ * bigger than the limits of localStorage.
+ *
+ * @property {string} databaseName The name of the database
+ * @property {string} storeName The name of the object store
+ */
+class IndexedDBStorage {
+
+    databaseName = 'signal-query-models';
+
+    storeName = 'offline';
+
+    _database = null;
+
+    /**
+     * @param {Object} options
+     *                  - databaseName: The name of the database
+     *                  - storeName: The name of the object store
+     *                  - indexedDB: Custom IndexedDB implementation. The global one by default
+     */
+    constructor(options = {}) {
+        this.databaseName = options.databaseName ?? this.databaseName;
+        this.storeName = options.storeName ?? this.storeName;
+        this._indexedDB = options.indexedDB ?? globalThis.indexedDB;
+        if (!this._indexedDB) {
+            throw new Error('IndexedDB is not available in this environment');
+        }
+    }
+
+    /**
+     * Opens the database only once
+     * @returns {Promise<IDBDatabase>} The database
+     */
+    _open() {
+        if (!this._database) {
+            this._database = new Promise((resolve, reject) => {
+                const request = this._indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._database;
+    }
+
+    /**
+     * Runs the operation in a transaction of the object store
+     */
+    async _run(mode, operation) {
+        const database = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this._run('readonly', (store) => store.get(key));
+        return value ?? null;
+    }
+
+    async setItem(key, value) {
+        await this._run('readwrite', (store) => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this._run('readwrite', (store) => store.delete(key));
+    }
+}
+
+export { IndexedDBStorage };
@@ -0,0 +1,24 @@
+/**
+ * In-memory storage for the offline queue. The data is lost when the page is reloaded,
+ * so it is mostly useful for tests and for apps that only need to survive short disconnections.
+ *
+ * Every storage must implement the async methods getItem, setItem and removeItem, with string values.
+ */
+class MemoryStorage {
+
+    _items = new Map();
+
+    async getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this._items.set(key, value);
+    }
+
+    async removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+export { MemoryStorage };
@@ -0,0 +1,285 @@
+import { signal } from '@preact/signals-react';
+import { MemoryStorage } from './MemoryStorage.js';
+import { NetworkError, isAbortError } from '../Errors.js';
+
+/**
+ * Compares the IDs of two entries. Composite IDs are objects with the attributes in the order of the PRIMARY_KEY
+ */
+const isSameId = (a, b) => {
+    const toKey = (id) => id && typeof id === 'object' ? JSON.stringify(id) : String(id);
+    return toKey(a) === toKey(b);
+};
+
+/**
+ * Queue of the mutations (post, patch and delete) performed while there is no connection.
+ * The pending mutations are persisted in a storage, and they are replayed in order when the
+ * connection comes back. Entities created offline get a temporary (negative) ID, that is replaced
+ * by the ID assigned by the server in the entity and in the rest of the pending mutations.
+ *
+ * @property {Object} storage The storage for the pending mutations (MemoryStorage, WebStorage, IndexedDBStorage)
+ * @property {string} storageKey The key of the pending mutations in the storage
+ * @property {Signal<Array>} entries The pending mutations: [{ key, entity, method, id, data }].
+ *                                   The data is in the format of the model, it is serialized when it is sent
+ * @property {Signal<Array>} failed The mutations rejected by the server during the replay: [{ entry, error }]
+ * @property {Signal<boolean>} isReplaying True while the pending mutations are being replayed
+ */
+class OfflineQueue {
+
+    storage = null;
+
+    storageKey = 'signal-query-models:offline-queue';
+
+    entries = signal([]);
+
+    failed = signal([]);
+
+    isReplaying = signal(false);
+
+    /**
+     * The Model subclasses by ENTITY_NAME, to replay the mutations after the page is reloaded
+     */
+    _models = new Map();
+
+    _replayPromise = null;
+
+    /**
+     * The key of the entry that is being sent, so no other mutation is merged into it
+     */
+    _sendingKey = null;
+
+    _lastTemporaryId = 0;
+
+    _lastKey = 0;
+
+    /**
+     * @param {Object} options
+     *                  - storage: The storage for the pending mutations. MemoryStorage by default
+     *                  - storageKey: The key of the pending mutations in the storage
+     *                  - isOnline: Function that returns if there is connection. navigator.onLine by default
+     *                  - onReplayError: Called with the entry and the error when the server rejects a mutation
+     *                  - models: The Model subclasses whose mutations can be replayed (see register)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage ?? new MemoryStorage();
+        this.storageKey = options.storageKey ?? this.storageKey;
+        this._isOnline = options.isOnline ?? (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this._onReplayError = options.onReplayError ?? (() => {});
+        this.register(...(options.models ?? []));
+    }
+
+    /**
+     * Returns true if there is connection
+     */
+    isOnline() {
+        return this._isOnline();
+    }
+
+    /**
+     * Returns true if the error was caused by the lack of connection, not by the server
+     */
+    isNetworkError(error) {
+        if (error instanceof NetworkError) return true;
+        return !error?.response && !isAbortError(error) && (error instanceof TypeError || !this.isOnline() || error?.code === 'ERR_NETWORK');
+    }
+
+    /**
+     * Registers the Model subclasses whose pending mutations can be replayed.
+     * They are registered automatically when a mutation is queued, but after reloading the page
+     * they must be registered before the replay (with this method, or the `models` option of the
+     * constructor or start). The mutations of the classes that are not registered are moved to `failed`.
+     * @param {...typeof Model} models The Model subclasses
+     */
+    register(...models) {
+        models.forEach((ModelClass) => this._models.set(ModelClass.ENTITY_NAME, ModelClass));
+    }
+
+    /**
+     * Loads the pending mutations from the storage
+     */
+    async load() {
+        const stored = await this.storage.getItem(this.storageKey);
+        this.entries.value = stored ? JSON.parse(stored) : [];
+        this._lastTemporaryId = Math.min(0, ...this.entries.value.map((entry) => Number(entry.id) || 0));
+        this.entries.value.forEach((entry) => this._refreshPendingSync(entry.entity, entry.id));
+    }
+
+    /**
+     * Loads the pending mutations and replays them every time the connection comes back
+     * @param {Object} options
+     *                  - models: The Model subclasses to register before the replay
+     * @returns {Function} The function to stop listening to the connection
+     */
+    async start(options = {}) {
+        this.register(...(options.models ?? []));
+        await this.load();
+        const replay = () => this.replay().catch((error) => console.error('Error replaying the offline queue: ', error));
+        globalThis.addEventListener?.('online', replay);
+        if (this.isOnline()) {
+            replay();
+        }
+        return () => globalThis.removeEventListener?.('online', replay);
+    }
+
+    /**
+     * Returns a new temporary ID for the entities created offline
+     */
+    createTemporaryId() {
+        this._lastTemporaryId = Math.min(this._lastTemporaryId, -Date.now()) - 1;
+        return this._lastTemporaryId;
+    }
+
+    /**
+     * Returns true if the ID was created by createTemporaryId
+     */
+    isTemporaryId(id) {
+        return (typeof id === 'number' || typeof id === 'string') && Number(id) < 0;
+    }
+
+    /**
+     * Adds a mutation to the queue. Consecutive mutations of the same entity are merged:
+     * post + patch is sent as one post, patch + patch as one patch, and the mutations
+     * of an entity created offline are discarded if it is deleted.
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {Object} mutation { method, id, data }
+     */
+    async enqueue(ModelClass, mutation) {
+        this.register(ModelClass);
+        const entry = { key: `${Date.now()}-${++this._lastKey}`, entity: ModelClass.ENTITY_NAME, ...mutation };
+        let entries = [...this.entries.peek()];
+        const isSameEntity = (other) => other.entity === entry.entity && isSameId(other.id, entry.id)
+            && other.key !== this._sendingKey;
+        const previous = entries.filter(isSameEntity).pop();
+
+        if (previous && entry.method === 'patch' && previous.method !== 'delete') {
+            const data = { ...previous.data, ...entry.data };
+            // The ID of an entity created offline is assigned by the server
+            if (previous.method === 'post' && !ModelClass.isCompositeKey()) {
+                delete data[ModelClass.PRIMARY_KEY];
+            }
+            entries[entries.indexOf(previous)] = { ...previous, data };
+        } else if (previous && entry.method === 'delete' && this.isTemporaryId(entry.id)) {
+            entries = entries.filter((other) => !isSameEntity(other));
+        } else if (entry.method === 'delete') {
+            entries = [...entries.filter((other) => !isSameEntity(other) || other.method !== 'patch'), entry];
+        } else {
+            entries.push(entry);
+        }
+
+        this.entries.value = entries;
+        await this._persist();
+        this._refreshPendingSync(entry.entity, entry.id);
+    }
+
+    /**
+     * Sends the pending mutations in order. It stops at the first network error,
+     * and the mutations rejected by the server are moved to `failed`.
+     * @returns {Promise} Resolves when the replay finishes
+     */
+    replay() {
+        if (!this._replayPromise) {
+            this._replayPromise = this._replay().finally(() => {
+                this._replayPromise = null;
+                this.isReplaying.value = false;
+            });
+        }
+        return this._replayPromise;
+    }
+
+    async _replay() {
+        this.isReplaying.value = true;
+        while (this.entries.peek().length && this.isOnline()) {
+            const entry = this.entries.peek()[0];
+            const ModelClass = this._models.get(entry.entity);
+            this._sendingKey = entry.key;
+            let id = entry.id;
+            try {
+                if (!ModelClass) {
+                    throw new Error(`${entry.entity} is not registered in the offline queue`);
+                }
+                id = await this._send(ModelClass, entry);
+            } catch (error) {
+                if (this.isNetworkError(error)) break;
+                this.failed.value = [...this.failed.peek(), { entry, error }];
+                this._onReplayError(entry, error);
+            } finally {
+                this._sendingKey = null;
+            }
+            this.entries.value = this.entries.peek().filter((other) => other.key !== entry.key);
+            await this._persist();
+            this._refreshPendingSync(entry.entity, id);
+        }
+    }
+
+    /**
+     * Sends one pending mutation through the adapter and the middleware of the Model
+     * @returns {Promise} Resolves with the ID of the entity, the one assigned by the server for posts
+     */
+    async _send(ModelClass, entry) {
+        const endpoint = {
+            post: ModelClass.POST_ENDPOINT(),
+            patch: ModelClass.PATCH_ENDPOINT(),
+            delete: ModelClass.DELETE_ENDPOINT(),
+        }[entry.method];
+        // After reloading the page the instance does not exist anymore, so it is created from the queued data
+        const instance = ModelClass.findInstance(entry.id) ?? new ModelClass({ ...entry.data, ...ModelClass.idToData(entry.id) });
+
+        const config = { ...endpoint };
+        config.url = instance.prepareURL(config.url);
+        const serializer = ModelClass.getSerializer();
+        const payload = entry.method === 'delete'
+            ? {}
+            : serializer.serialize(ModelClass, entry.data, { method: entry.method, id: entry.id });
+        const responseData = await instance.request(entry.method, payload, config);
+        const serverData = serializer.readEntity(ModelClass, responseData);
+
+        if (entry.method === 'delete') {
+            ModelClass.releaseInstance(entry.id, instance.getQueryClient());
+            return entry.id;
+        }
+        const serverId = ModelClass.extractId(serverData);
+        if (entry.method === 'post' && this.isTemporaryId(entry.id) && serverId !== undefined) {
+            this._mapId(entry.entity, entry.id, serverId);
+            instance._replaceId(serverId);
+        }
+        if (serverData && typeof serverData === 'object') {
+            instance._mergeServerData(serverData);
+            instance.getQueryClient().setQueryData(ModelClass.getQueryKey(instance.getId()), instance.toJSON());
+        }
+        return instance.getId();
+    }
+
+    /**
+     * Replaces the temporary ID by the ID assigned by the server in the pending mutations
+     */
+    _mapId(entity, temporaryId, serverId) {
+        const isTemporary = (value) => value === temporaryId || value === String(temporaryId);
+        const replaceId = (value) => {
+            if (isTemporary(value)) return serverId;
+            if (Array.isArray(value)) return value.map(replaceId);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceId(item)]));
+            }
+            return value;
+        };
+        this.entries.value = this.entries.peek().map((entry) => ({
+            ...entry,
+            id: entry.entity === entity && isTemporary(entry.id) ? serverId : entry.id,
+            data: replaceId(entry.data),
+        }));
+    }
+
+    async _persist() {
+        await this.storage.setItem(this.storageKey, JSON.stringify(this.entries.peek()));
+    }
+
+    /**
+     * Updates the pendingSync signal of the instance of the entity, if there is one
+     */
+    _refreshPendingSync(entity, id) {
+        const instance = this._models.get(entity)?.findInstance(id);
+        if (!instance) return;
+        instance.pendingSync.value = this.entries.peek().some((entry) => entry.entity === entity && isSameId(entry.id, id));
+    }
+}
+
+export { OfflineQueue };
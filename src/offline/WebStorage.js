@@ -0,0 +1,34 @@
+/**
+ * Storage for the offline queue based on the Web Storage API: localStorage by default,
+ * or sessionStorage or any object with the same interface.
+ *
+ * @property {Storage} storage The Web Storage object
+ */
+class WebStorage {
+
+    storage = null;
+
+    /**
+     * @param {Storage} storage The Web Storage object. localStorage by default
+     */
+    constructor(storage = globalThis.localStorage) {
+        if (!storage) {
+            throw new Error('localStorage is not available in this environment');
+        }
+        this.storage = storage;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+export { WebStorage };
@@ -0,0 +1,56 @@
+import { RealtimeAdapter } from './RealtimeAdapter.js';
+
+/**
+ * Realtime adapter that receives the events through Server-Sent Events.
+ * The EventSource reconnects by itself after the connection is lost.
+ *
+ * Unnamed messages must include the type of the event. Named SSE events (`event: updated`)
+ * take their name as the type when the message does not include it.
+ *
+ * @property {string} url The URL of the event stream
+ */
+class EventSourceAdapter extends RealtimeAdapter {
+
+    url = null;
+
+    _source = null;
+
+    /**
+     * @param {Object} options
+     *                  - url: The URL of the event stream
+     *                  - withCredentials: Send the cookies to other origins
+     *                  - eventNames: The named events to listen to. created, updated and deleted by default
+     *                  - EventSource: The EventSource implementation. The global one by default
+     *                  - parse: See RealtimeAdapter
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error('The url of the EventSourceAdapter is required');
+        }
+        this.url = options.url;
+        this._withCredentials = options.withCredentials ?? false;
+        this._eventNames = options.eventNames ?? ['created', 'updated', 'deleted'];
+        this._EventSource = options.EventSource ?? globalThis.EventSource;
+    }
+
+    connect() {
+        if (this._source) return;
+        const source = new this._EventSource(this.url, { withCredentials: this._withCredentials });
+        this._source = source;
+        source.onopen = () => { this.isConnected.value = true; };
+        source.onerror = () => { this.isConnected.value = false; };
+        source.onmessage = (event) => this._receive(event.data);
+        for (const name of this._eventNames) {
+            source.addEventListener(name, (event) => this._receive(event.data, name));
+        }
+    }
+
+    disconnect() {
+        this._source?.close();
+        this._source = null;
+        this.isConnected.value = false;
+    }
+}
+
+export { EventSourceAdapter };
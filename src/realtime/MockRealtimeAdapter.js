@@ -0,0 +1,36 @@
+import { RealtimeAdapter } from './RealtimeAdapter.js';
+
+/**
+ * In-memory realtime adapter. It stands in for the server: the events passed to push are
+ * delivered to the listeners while it is connected, and dropped while it is not.
+ * Useful for tests, prototypes and storybooks.
+ *
+ * @property {Array} history The events pushed, in order
+ */
+class MockRealtimeAdapter extends RealtimeAdapter {
+
+    history = [];
+
+    connect() {
+        this.isConnected.value = true;
+    }
+
+    disconnect() {
+        this.isConnected.value = false;
+    }
+
+    /**
+     * Pushes a message as if it came from the server
+     * @param {*} message The message: an event, an array of events, or anything the parse function understands
+     * @returns {MockRealtimeAdapter} This adapter, to chain calls
+     */
+    push(message) {
+        this.history.push(message);
+        if (this.isConnected.peek()) {
+            this._receive(message);
+        }
+        return this;
+    }
+}
+
+export { MockRealtimeAdapter };
@@ -0,0 +1,85 @@
+import { signal } from '@preact/signals-react';
+
+/**
+ * Base class of the realtime adapters. They receive the changes pushed by the server and pass them
+ * to their listeners (usually a RealtimeSync) as events:
+ *  - type: created, updated or deleted
+ *  - entity: The ENTITY_NAME of the Model
+ *  - id: The ID of the entity. It can be omitted when the data includes it
+ *  - data: The data of the entity in the format of the API. Optional for deleted
+ *
+ * Subclasses implement connect and disconnect, and call _receive with each message.
+ * Messages in other formats are translated by overriding parse, or with the `parse` option.
+ *
+ * @property {Signal<boolean>} isConnected True while the connection is open
+ */
+class RealtimeAdapter {
+
+    isConnected = signal(false);
+
+    _listeners = new Set();
+
+    /**
+     * @param {Object} options
+     *                  - parse: Function that translates a message into an event, an array of events, or null to ignore it
+     */
+    constructor(options = {}) {
+        if (options.parse) {
+            this.parse = options.parse;
+        }
+    }
+
+    /**
+     * Opens the connection
+     */
+    connect() {
+        throw new Error('connect() must be implemented by the realtime adapter');
+    }
+
+    /**
+     * Closes the connection
+     */
+    disconnect() {
+        throw new Error('disconnect() must be implemented by the realtime adapter');
+    }
+
+    /**
+     * Adds a listener for the events
+     * @param {Function} listener It receives each event
+     * @returns {Function} The function to remove the listener
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Translates a message of the server into events. JSON strings are parsed
+     * @param {*} message The message
+     * @returns {Object|Array<Object>|null} The events
+     */
+    parse(message) {
+        return typeof message === 'string' ? JSON.parse(message) : message;
+    }
+
+    /**
+     * Passes the events of a message to the listeners. The messages that cannot be parsed are ignored
+     * @param {*} message The message
+     * @param {string} type The type of the events, when it comes outside the message (like the name of an SSE event)
+     */
+    _receive(message, type = null) {
+        let events;
+        try {
+            events = this.parse(message);
+        } catch (error) {
+            console.error('Error parsing the realtime message: ', error);
+            return;
+        }
+        for (const event of [].concat(events ?? [])) {
+            const fullEvent = type && !event.type ? { ...event, type } : event;
+            this._listeners.forEach((listener) => listener(fullEvent));
+        }
+    }
+}
+
+export { RealtimeAdapter };
@@ -0,0 +1,129 @@
+/**
+ * Applies the changes pushed by the server through a realtime adapter to the models:
+ * the signals of the live instances, the identity map, the entity queries and the list queries.
+ *
+ * Updates are merged like the responses of the server: the attributes with unsaved local changes
+ * keep their value, the rest take the pushed one. Created and deleted entities are notified to the
+ * collections (see Model.subscribe), and the list queries of the entity are invalidated.
+ *
+ * @property {RealtimeAdapter} adapter The adapter that receives the events
+ * @property {QueryClient} queryClient The QueryClient to update, or null to use the static one of each Model
+ */
+class RealtimeSync {
+
+    adapter = null;
+
+    queryClient = null;
+
+    /**
+     * The Model subclasses by ENTITY_NAME
+     */
+    _models = new Map();
+
+    _unsubscribe = null;
+
+    /**
+     * @param {RealtimeAdapter} adapter The adapter that receives the events
+     * @param {Object} options
+     *                  - models: The Model subclasses whose events are applied
+     *                  - queryClient: The QueryClient to update. The static one of each Model by default
+     *                  - onEvent: Called with each event and its Model after applying it
+     */
+    constructor(adapter, options = {}) {
+        if (!adapter) {
+            throw new Error('RealtimeSync requires an adapter');
+        }
+        this.adapter = adapter;
+        this.queryClient = options.queryClient ?? null;
+        this._onEvent = options.onEvent ?? (() => {});
+        this.register(...(options.models ?? []));
+    }
+
+    /**
+     * Registers the Model subclasses whose events are applied. The events of other entities are ignored
+     * @param {...typeof Model} models The Model subclasses
+     */
+    register(...models) {
+        models.forEach((ModelClass) => this._models.set(ModelClass.ENTITY_NAME, ModelClass));
+    }
+
+    /**
+     * Starts listening to the adapter and opens its connection
+     * @returns {Function} The function to stop
+     */
+    start() {
+        if (!this._unsubscribe) {
+            this._unsubscribe = this.adapter.subscribe(this.apply);
+            this.adapter.connect();
+        }
+        return this.stop;
+    }
+
+    /**
+     * Stops listening to the adapter and closes its connection
+     */
+    stop = () => {
+        if (!this._unsubscribe) return;
+        this._unsubscribe();
+        this._unsubscribe = null;
+        this.adapter.disconnect();
+    }
+
+    /**
+     * Applies an event to the models
+     * @param {Object} event { type, entity, id, data } (see RealtimeAdapter)
+     */
+    apply = (event) => {
+        const ModelClass = this._models.get(event?.entity);
+        if (!ModelClass) return;
+        const queryClient = this.queryClient ?? ModelClass.QueryClient;
+        const data = event.data ? ModelClass.getSerializer().deserialize(ModelClass, event.data) : null;
+        const id = event.id ?? ModelClass.extractId(data);
+        if (id === undefined || id === null) return;
+
+        if (event.type === 'deleted') {
+            this._applyDeleted(ModelClass, id, queryClient);
+        } else if (event.type === 'created' || event.type === 'updated') {
+            this._applyChanged(ModelClass, event.type, id, { ...data, ...ModelClass.idToData(id) }, queryClient);
+        } else {
+            return;
+        }
+        queryClient.invalidateQueries({ queryKey: ModelClass.getListQueryKey() });
+        this._onEvent(event, ModelClass);
+    }
+
+    /**
+     * Merges the data of a created or updated entity into its instance and its query.
+     * A created entity without instance gets one, so the collections can add it.
+     */
+    _applyChanged(ModelClass, type, id, data, queryClient) {
+        const instance = ModelClass.findInstance(id, queryClient);
+        if (instance) {
+            instance._receiveServerData(data);
+            ModelClass.notify('updated', instance);
+            return;
+        }
+        const queryKey = ModelClass.getQueryKey(id);
+        const cachedData = queryClient.getQueryData(queryKey);
+        if (cachedData !== undefined) {
+            queryClient.setQueryData(queryKey, { ...cachedData, ...data });
+        }
+        if (type === 'created') {
+            ModelClass.notify('created', new ModelClass(data, { queryClient, isPersisted: true }));
+        }
+    }
+
+    /**
+     * Removes a deleted entity from the cache, the identity map and the collections
+     */
+    _applyDeleted(ModelClass, id, queryClient) {
+        const instance = ModelClass.findInstance(id, queryClient);
+        if (instance) {
+            instance._removeDeleted();
+        } else {
+            queryClient.removeQueries({ queryKey: ModelClass.getQueryKey(id) });
+        }
+    }
+}
+
+export { RealtimeSync };
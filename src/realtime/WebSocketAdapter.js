@@ -0,0 +1,80 @@
+import { RealtimeAdapter } from './RealtimeAdapter.js';
+
+/**
+ * Realtime adapter that receives the events through a WebSocket.
+ * The connection is opened again after it closes, until disconnect is called.
+ *
+ * @property {string} url The URL of the WebSocket
+ * @property {number} reconnectDelay Milliseconds to wait before reconnecting. Negative to not reconnect
+ */
+class WebSocketAdapter extends RealtimeAdapter {
+
+    url = null;
+
+    reconnectDelay = 1000;
+
+    _socket = null;
+
+    _reconnectTimer = null;
+
+    /**
+     * @param {Object} options
+     *                  - url: The URL of the WebSocket
+     *                  - protocols: The subprotocols of the WebSocket
+     *                  - reconnectDelay: Milliseconds to wait before reconnecting. 1000 by default
+     *                  - onOpen: Called with the socket every time it opens, for example to send the subscriptions
+     *                  - WebSocket: The WebSocket implementation. The global one by default
+     *                  - parse: See RealtimeAdapter
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error('The url of the WebSocketAdapter is required');
+        }
+        this.url = options.url;
+        this.reconnectDelay = options.reconnectDelay ?? this.reconnectDelay;
+        this._protocols = options.protocols;
+        this._onOpen = options.onOpen ?? (() => {});
+        this._WebSocket = options.WebSocket ?? globalThis.WebSocket;
+    }
+
+    connect() {
+        if (this._socket) return;
+        const socket = new this._WebSocket(this.url, this._protocols);
+        this._socket = socket;
+        socket.onopen = () => {
+            this.isConnected.value = true;
+            this._onOpen(socket);
+        };
+        socket.onmessage = (event) => this._receive(event.data);
+        socket.onclose = () => {
+            if (this._socket !== socket) return;
+            this._socket = null;
+            this.isConnected.value = false;
+            if (this.reconnectDelay >= 0) {
+                this._reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            }
+        };
+    }
+
+    disconnect() {
+        clearTimeout(this._reconnectTimer);
+        const socket = this._socket;
+        this._socket = null;
+        this.isConnected.value = false;
+        socket?.close();
+    }
+
+    /**
+     * Sends a message through the socket, like a subscription to a channel
+     * @param {*} message The message. Objects are sent as JSON
+     */
+    send(message) {
+        if (!this._socket) {
+            throw new Error('The WebSocket is not connected');
+        }
+        this._socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+}
+
+export { WebSocketAdapter };
@@ -0,0 +1,107 @@
+import { dehydrate, hydrate } from '@tanstack/react-query';
+import { Model } from './Model.js';
+
+/**
+ * Key of the objects that replace the model instances in the dehydrated state
+ */
+const MODEL_MARKER = '__model';
+
+/**
+ * Replaces the model instances by plain objects { __model: ENTITY_NAME, data }, so the value can be
+ * serialized as JSON. An instance that references itself through its relations is only dehydrated
+ * with its ID the second time.
+ */
+const dehydrateValue = (value, parents = new Set()) => {
+    if (value instanceof Model) {
+        const data = parents.has(value)
+            ? value.constructor.idToData(value.getId())
+            : dehydrateValue(value.data.getObject(), new Set(parents).add(value));
+        return { [MODEL_MARKER]: value.constructor.ENTITY_NAME, data };
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => dehydrateValue(item, parents));
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, dehydrateValue(item, parents)]));
+    }
+    return value;
+};
+
+/**
+ * Rebuilds the model instances replaced by dehydrateValue, using the given QueryClient
+ */
+const hydrateValue = (value, models, queryClient) => {
+    if (Array.isArray(value)) {
+        return value.map((item) => hydrateValue(item, models, queryClient));
+    }
+    if (value && typeof value === 'object') {
+        const hydrated = Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, hydrateValue(item, models, queryClient)])
+        );
+        if (MODEL_MARKER in value) {
+            const ModelClass = models.get(value[MODEL_MARKER]);
+            if (!ModelClass) {
+                throw new Error(`${value[MODEL_MARKER]} is not registered to be hydrated`);
+            }
+            return new ModelClass(hydrated.data, { queryClient, isPersisted: true });
+        }
+        return hydrated;
+    }
+    return value;
+};
+
+/**
+ * Serializes the cache of the QueryClient, including the model instances of the lists and collections.
+ * The result can be sent to the client as JSON and restored there with hydrateModels.
+ *
+ * @param {QueryClient} queryClient The QueryClient used during the render on the server
+ * @param {Object} options The options for the dehydrate function of React Query
+ * @returns {Object} The dehydrated state
+ */
+const dehydrateModels = (queryClient, options = {}) => {
+    const state = dehydrate(queryClient, options);
+    return {
+        ...state,
+        queries: state.queries.map((query) => ({
+            ...query,
+            state: { ...query.state, data: dehydrateValue(query.state.data) },
+        })),
+    };
+}
+
+/**
+ * Restores the state returned by dehydrateModels into the QueryClient.
+ * The lists get model instances again, and an instance is created for each cached entity,
+ * so the hooks and fetchQuery use the cached data without refetching it. The instances that already
+ * exist keep their unsaved changes.
+ *
+ * @param {QueryClient} queryClient The QueryClient of the app
+ * @param {Object} state The state returned by dehydrateModels
+ * @param {Array<typeof Model>} models The Model subclasses of the cached entities
+ * @param {Object} options The options for the hydrate function of React Query
+ */
+const hydrateModels = (queryClient, state, models = [], options = {}) => {
+    if (!state) return;
+    const modelsByName = new Map(models.map((ModelClass) => [ModelClass.ENTITY_NAME, ModelClass]));
+    hydrate(queryClient, {
+        ...state,
+        queries: state.queries.map((query) => ({
+            ...query,
+            state: { ...query.state, data: hydrateValue(query.state.data, modelsByName, queryClient) },
+        })),
+    }, options);
+
+    // The entity queries hold the raw data of the entity, the instances are created from it
+    for (const query of state.queries) {
+        const [entityName, id] = query.queryKey;
+        const ModelClass = modelsByName.get(entityName);
+        if (!ModelClass || query.queryKey.length !== 2 || id === 'list') continue;
+        const instance = new ModelClass(ModelClass.idToData(id), { queryClient });
+        instance._mergeQueryData(queryClient.getQueryData(query.queryKey));
+    }
+}
+
+export { dehydrateModels, hydrateModels };
@@ -0,0 +1,163 @@
+/**
+ * Factories build entities of a Model with generated data, for tests, storybooks and seeds:
+ *
+ *     const UserFactory = defineFactory(UserModel, {
+ *         name: (n) => `User ${n}`,
+ *         role: 'editor',
+ *         company: CompanyFactory,
+ *     }, { traits: { admin: { role: 'admin' } } });
+ *
+ *     const admin = UserFactory.build({ name: 'Jo' }, 'admin');
+ *     const users = await UserFactory.createList(3);
+ *
+ * The value of each attribute can be:
+ *  - A function that receives the sequence number of the factory and the attributes resolved
+ *    before it, and returns the value
+ *  - Another factory, for the relations. build() builds the related entity and create() creates it
+ *  - Any other value, used as it is
+ */
+class Factory {
+
+    ModelClass = null;
+
+    attributes = {};
+
+    traits = {};
+
+    _sequence = 0;
+
+    /**
+     * @param {typeof Model} ModelClass The class of the entities
+     * @param {Object} attributes The values of the attributes
+     * @param {Object} options
+     *                  - traits: Named sets of values applied on demand: { admin: { role: 'admin' } }
+     */
+    constructor(ModelClass, attributes = {}, options = {}) {
+        this.ModelClass = ModelClass;
+        this.attributes = attributes;
+        this.traits = { ...options.traits };
+    }
+
+    /**
+     * Returns the next number of the sequence, starting at 1
+     */
+    sequence() {
+        return ++this._sequence;
+    }
+
+    /**
+     * Restarts the sequence
+     */
+    resetSequence() {
+        this._sequence = 0;
+    }
+
+    /**
+     * Adds a trait to this factory
+     * @param {string} name The name of the trait
+     * @param {Object} attributes The values of the trait
+     * @returns {Factory} This factory, to chain calls
+     */
+    trait(name, attributes) {
+        this.traits[name] = attributes;
+        return this;
+    }
+
+    /**
+     * Returns a new factory with other default values
+     * @param {Object} attributes The values that replace the ones of this factory
+     */
+    extend(attributes) {
+        return new this.constructor(this.ModelClass, { ...this.attributes, ...attributes }, { traits: this.traits });
+    }
+
+    /**
+     * Resolves the values of the attributes, without building the entity. The related factories are kept
+     * @param {Object} overrides The values that replace the ones of the factory and the traits
+     * @param {...string} traits The names of the traits to apply, in order
+     * @returns {Object} The values of the attributes
+     */
+    attributesFor(overrides = {}, ...traits) {
+        const definitions = { ...this.attributes };
+        for (const name of traits) {
+            if (!this.traits[name]) {
+                throw new Error(`Unknown trait ${name} on the factory of ${this.ModelClass.name}`);
+            }
+            Object.assign(definitions, this.traits[name]);
+        }
+        Object.assign(definitions, overrides);
+
+        const sequence = this.sequence();
+        const values = {};
+        for (const attribute in definitions) {
+            const definition = definitions[attribute];
+            values[attribute] = typeof definition === 'function' ? definition(sequence, values) : definition;
+        }
+        return values;
+    }
+
+    /**
+     * Builds an entity without saving it
+     * @param {Object} overrides The values that replace the ones of the factory and the traits
+     * @param {...string} traits The names of the traits to apply, in order
+     * @returns {Model} The entity
+     */
+    build(overrides = {}, ...traits) {
+        const values = this.attributesFor(overrides, ...traits);
+        for (const attribute in values) {
+            if (values[attribute] instanceof Factory) {
+                values[attribute] = values[attribute].build();
+            }
+        }
+        return new this.ModelClass(values);
+    }
+
+    /**
+     * Builds several entities without saving them
+     * @param {number} count The number of entities
+     * @returns {Array<Model>} The entities
+     */
+    buildList(count, overrides = {}, ...traits) {
+        return Array.from({ length: count }, () => this.build(overrides, ...traits));
+    }
+
+    /**
+     * Builds an entity and creates it through the API of the Model (usually a FakeApi in tests).
+     * The related factories create their entities first.
+     * @returns {Promise<Model>} The created entity
+     */
+    async create(overrides = {}, ...traits) {
+        const values = this.attributesFor(overrides, ...traits);
+        for (const attribute in values) {
+            if (values[attribute] instanceof Factory) {
+                values[attribute] = await values[attribute].create();
+            }
+        }
+        const entity = new this.ModelClass(values);
+        await entity.post();
+        return entity;
+    }
+
+    /**
+     * Creates several entities, one after the other
+     * @returns {Promise<Array<Model>>} The created entities
+     */
+    async createList(count, overrides = {}, ...traits) {
+        const entities = [];
+        for (let index = 0; index < count; index++) {
+            entities.push(await this.create(overrides, ...traits));
+        }
+        return entities;
+    }
+}
+
+/**
+ * Defines a factory for a Model. See Factory
+ * @param {typeof Model} ModelClass The class of the entities
+ * @param {Object} attributes The values of the attributes
+ * @param {Object} options { traits }
+ * @returns {Factory} The factory
+ */
+const defineFactory = (ModelClass, attributes = {}, options = {}) => new Factory(ModelClass, attributes, options);
+
+export { Factory, defineFactory };
@@ -0,0 +1,192 @@
+import { MockAdapter } from '../adapters/MockAdapter.js';
+
+/**
+ * In-memory backend for the models, to test their whole lifecycle without a server.
+ * It registers the routes of the endpoints of each model (LIST, GET, POST, PATCH and DELETE) and keeps
+ * their entities in tables by ENTITY_NAME, in the format of the API. The responses use the envelopes of
+ * the default Serializer: { [ENTITY_NAME]: entity } and { [LIST_NAME]: items, recordsTotal, recordsFiltered }.
+ *
+ *     const api = createFakeApi({ models: [UserModel] });
+ *     Model.setAdapter(api);
+ *     api.seed(UserModel, [{ name: 'Jo' }]);
+ *
+ * The lists support the filters of the DataTablesCompiler: equal conditions, search, order, start and length.
+ * As a MockAdapter, more routes can be added with on() and the requests are recorded in `history`.
+ *
+ * @property {Map} tables The entities by ENTITY_NAME, in the format of the API
+ */
+class FakeApi extends MockAdapter {
+
+    tables = new Map();
+
+    _lastIds = new Map();
+
+    /**
+     * @param {Object} options
+     *                  - models: The Model subclasses to serve
+     *                  - delay: Milliseconds to wait before resolving each request
+     */
+    constructor(options = {}) {
+        super(options);
+        (options.models ?? []).forEach((ModelClass) => this.register(ModelClass));
+    }
+
+    /**
+     * Registers the routes of the endpoints of a Model. The endpoints that are not defined are skipped
+     * @param {typeof Model} ModelClass The class of the entities
+     * @returns {FakeApi} This adapter, to chain calls
+     */
+    register(ModelClass) {
+        this._getTable(ModelClass);
+        const routes = [
+            [ModelClass.LIST_ENDPOINT(), 'GET', (request) => this._list(ModelClass, request)],
+            [ModelClass.GET_ENDPOINT(), 'GET', (request) => this._get(ModelClass, request)],
+            [ModelClass.POST_ENDPOINT(), 'POST', (request) => this._post(ModelClass, request)],
+            [ModelClass.PATCH_ENDPOINT(), 'PATCH', (request) => this._patch(ModelClass, request)],
+            [ModelClass.DELETE_ENDPOINT(), 'DELETE', (request) => this._delete(ModelClass, request)],
+        ];
+        for (const [endpoint, method, handler] of routes) {
+            if (!endpoint) continue;
+            this.on(endpoint.method ?? method, endpoint.url.split('?')[0], handler);
+        }
+        return this;
+    }
+
+    /**
+     * Adds entities to the table of a Model. They are in the format of the model, and they get an ID if they have none
+     * @param {typeof Model} ModelClass The class of the entities
+     * @param {Array<Object>} entities The data of the entities
+     * @returns {Array<Object>} The stored entities, in the format of the API
+     */
+    seed(ModelClass, entities) {
+        const serializer = ModelClass.getSerializer();
+        return entities.map((data) => this._insert(ModelClass, serializer.serializeAttributes(ModelClass, data)));
+    }
+
+    /**
+     * Returns the stored entities of a Model, in the format of the API
+     */
+    all(ModelClass) {
+        return [...this._getTable(ModelClass).values()];
+    }
+
+    /**
+     * Returns a stored entity of a Model, in the format of the API
+     * @param {typeof Model} ModelClass The class of the entity
+     * @param {number|string|Object} id The ID of the entity
+     */
+    find(ModelClass, id) {
+        return this._getTable(ModelClass).get(ModelClass._identityKey(id)) ?? null;
+    }
+
+    /**
+     * Removes the stored entities and the recorded requests
+     */
+    reset() {
+        this.tables.forEach((table) => table.clear());
+        this._lastIds.clear();
+        this.history = [];
+    }
+
+    _getTable(ModelClass) {
+        if (!this.tables.has(ModelClass.ENTITY_NAME)) {
+            this.tables.set(ModelClass.ENTITY_NAME, new Map());
+        }
+        return this.tables.get(ModelClass.ENTITY_NAME);
+    }
+
+    /**
+     * Returns the ID of an entity in the format of the API
+     */
+    _idOf(ModelClass, entity) {
+        return ModelClass.extractId(ModelClass.getSerializer().deserialize(ModelClass, entity));
+    }
+
+    /**
+     * Stores an entity, with a new ID when it has none and the Model has a single primary key
+     */
+    _insert(ModelClass, entity) {
+        const stored = { ...entity };
+        if (this._idOf(ModelClass, stored) === undefined && !ModelClass.isCompositeKey()) {
+            const lastId = Math.max(this._lastIds.get(ModelClass.ENTITY_NAME) ?? 0, ...this.all(ModelClass)
+                .map((other) => Number(this._idOf(ModelClass, other)) || 0));
+            this._lastIds.set(ModelClass.ENTITY_NAME, lastId + 1);
+            const serializer = ModelClass.getSerializer();
+            stored[serializer.getApiKey(ModelClass.PRIMARY_KEY, ModelClass.ATTRIBUTES_CONFIG[ModelClass.PRIMARY_KEY] ?? {})] = lastId + 1;
+        }
+        this._getTable(ModelClass).set(ModelClass._identityKey(this._idOf(ModelClass, stored)), stored);
+        return stored;
+    }
+
+    /**
+     * Finds the entity of the params of the URL. `:id` is the ID of a single primary key,
+     * the rest of the params are compared with the values of the entity
+     */
+    _findByParams(ModelClass, params) {
+        return this.all(ModelClass).find((entity) => Object.entries(params).every(([name, value]) => {
+            const entityValue = name === 'id' && !('id' in entity) ? this._idOf(ModelClass, entity) : entity[name];
+            return String(entityValue) === value;
+        })) ?? null;
+    }
+
+    _notFound(ModelClass) {
+        return { status: 404, data: { message: `${ModelClass.ENTITY_NAME} not found` } };
+    }
+
+    _list(ModelClass, { query }) {
+        const { start, length, order, search, ...conditions } = query;
+        let items = this.all(ModelClass);
+        const recordsTotal = items.length;
+        items = items.filter((entity) => Object.entries(conditions).every(([key, value]) => (
+            typeof value === 'object' || String(entity[key]) === String(value)
+        )));
+        const term = (typeof search === 'object' ? search?.value : search)?.toLowerCase();
+        if (term) {
+            items = items.filter((entity) => Object.values(entity).some((value) => (
+                typeof value === 'string' && value.toLowerCase().includes(term)
+            )));
+        }
+        for (const { column, dir } of [].concat(order ?? []).reverse()) {
+            const sign = dir === 'desc' ? -1 : 1;
+            items = [...items].sort((a, b) => (a[column] > b[column] ? sign : a[column] < b[column] ? -sign : 0));
+        }
+        const recordsFiltered = items.length;
+        if (length !== undefined) {
+            items = items.slice(Number(start ?? 0), Number(start ?? 0) + Number(length));
+        }
+        return { data: { [ModelClass.LIST_NAME]: items.map((entity) => ({ ...entity })), recordsTotal, recordsFiltered } };
+    }
+
+    _get(ModelClass, { params }) {
+        const entity = this._findByParams(ModelClass, params);
+        return entity ? { data: { [ModelClass.ENTITY_NAME]: { ...entity } } } : this._notFound(ModelClass);
+    }
+
+    _post(ModelClass, { data }) {
+        const entity = this._insert(ModelClass, data ?? {});
+        return { status: 201, data: { [ModelClass.ENTITY_NAME]: { ...entity } } };
+    }
+
+    _patch(ModelClass, { params, data }) {
+        const entity = this._findByParams(ModelClass, params);
+        if (!entity) return this._notFound(ModelClass);
+        Object.assign(entity, data);
+        return { data: { [ModelClass.ENTITY_NAME]: { ...entity } } };
+    }
+
+    _delete(ModelClass, { params }) {
+        const entity = this._findByParams(ModelClass, params);
+        if (!entity) return this._notFound(ModelClass);
+        this._getTable(ModelClass).delete(ModelClass._identityKey(this._idOf(ModelClass, entity)));
+        return { status: 204 };
+    }
+}
+
+/**
+ * Creates an in-memory backend for the models. See FakeApi
+ * @param {Object} options { models, delay }
+ * @returns {FakeApi} The adapter, to set with Model.setAdapter
+ */
+const createFakeApi = (options = {}) => new FakeApi(options);
+
+export { FakeApi, createFakeApi };
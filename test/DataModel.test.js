@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest';
+import { Model, DataModel } from '../index.js';
+
+class ArticleModel extends Model {
+    static ENTITY_NAME = 'article';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: { type: 'string', required: true, min: 3 },
+        views: { type: 'number', default: 0 },
+        publishedAt: { type: 'date' },
+        tags: { type: 'array', default: [] },
+    };
+}
+
+const createData = () => new ArticleModel({}).data;
+
+describe('DataModel', () => {
+    test('requires a reference to its model', () => {
+        expect(() => new DataModel({ id: {} })).toThrow('modelReference is required');
+    });
+
+    test('rejects the attributes named as members of the model', () => {
+        for (const name of ['errors', 'isValid', 'validate', 'update', 'changes', 'save']) {
+            class ReservedModel extends Model {
+                static ENTITY_NAME = 'reserved';
+                static ATTRIBUTES_CONFIG = { id: {}, [name]: {} };
+            }
+            expect(() => new ReservedModel({ id: 1 })).toThrow(`${name} is reserved by the model`);
+        }
+        class ComputedModel extends Model {
+            static ENTITY_NAME = 'computed';
+            static ATTRIBUTES_CONFIG = { id: {} };
+            static COMPUTED = { isDirty: () => true };
+        }
+        expect(() => new ComputedModel({})).toThrow('isDirty is reserved by the model');
+    });
+
+    test('applies the defaults and coerces the values to their type', () => {
+        const data = createData();
+        expect(data.views).toBe(0);
+        data.views = '42';
+        data.publishedAt = '2024-01-02T00:00:00.000Z';
+        expect(data.views).toBe(42);
+        expect(data.publishedAt).toBeInstanceOf(Date);
+    });
+
+    test('validates the attributes and clears the errors when they are fixed', () => {
+        const data = createData();
+        expect(data.validate()).toBe(false);
+        expect(data.getErrors()).toHaveProperty('title');
+        expect(data.isValid.value).toBe(false);
+        data.title = 'Signals';
+        expect(data.errors.title.value).toEqual([]);
+        expect(data.isValid.value).toBe(true);
+    });
+
+    test('sets errors from outside the validation', () => {
+        const data = createData();
+        data.setErrors({ title: 'is taken', unknown: ['ignored'] });
+        expect(data.errors.title.value).toEqual(['is taken']);
+        expect(data.getErrors()).toEqual({ title: ['is taken'] });
+    });
+
+    test('updates several attributes and serializes them', () => {
+        const data = createData();
+        data.update({ title: 'Queries', views: 3, other: true });
+        expect(data.serialize(['title', 'views'])).toEqual({ title: 'Queries', views: 3 });
+        expect(data.getObject()).not.toHaveProperty('other');
+    });
+
+    test('diffs against other data by value', () => {
+        const article = new ArticleModel({ id: 1, title: 'First', tags: ['a'], publishedAt: new Date(0) });
+        article.data.tags = ['a'];
+        article.data.publishedAt = new Date(0);
+        expect(article.data.diff(article.originalData)).toEqual({});
+        article.data.tags = ['a', 'b'];
+        expect(article.data.diff(article.originalData)).toEqual({ tags: { old: ['a'], new: ['a', 'b'] } });
+    });
+
+    test('undoes and redoes the changes with the history enabled', () => {
+        const data = createData();
+        data.enableHistory();
+        data.title = 'One';
+        data.transaction(() => {
+            data.title = 'Two';
+            data.views = 2;
+        });
+        expect(data.canUndo.value).toBe(true);
+        data.undo();
+        expect([data.title, data.views]).toEqual(['One', 0]);
+        data.redo();
+        expect([data.title, data.views]).toEqual(['Two', 2]);
+        data.withoutHistory(() => { data.title = 'Three'; });
+        data.undo();
+        expect(data.title).toBe('One');
+    });
+});
@@ -0,0 +1,514 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { QueryObserver } from '@tanstack/react-query';
+import { Model, ModelCollection, MockAdapter, ValidationError, NotFoundError, ConflictError } from '../index.js';
+
+class TaskModel extends Model {
+    static ENTITY_NAME = 'task';
+    static LIST_NAME = 'tasks';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: { required: true },
+        done: { type: 'boolean', default: false },
+    };
+    static GET_ENDPOINT() { return { url: '/tasks/:id', method: 'GET' }; }
+    static LIST_ENDPOINT() { return { url: '/tasks', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/tasks', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/tasks/:id', method: 'PATCH' }; }
+    static DELETE_ENDPOINT() { return { url: '/tasks/:id', method: 'DELETE' }; }
+}
+
+class MemberModel extends Model {
+    static ENTITY_NAME = 'member';
+    static PRIMARY_KEY = ['orgId', 'userId'];
+    static ATTRIBUTES_CONFIG = { orgId: {}, userId: {}, role: {} };
+    static POST_ENDPOINT() { return { url: '/orgs/:orgId/members', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/orgs/:orgId/members/:userId', method: 'PATCH' }; }
+}
+
+class NoteModel extends Model {
+    static ENTITY_NAME = 'note';
+    static VERSION = 'version';
+    static PATCH_ONLY_CHANGES = true;
+    static ATTRIBUTES_CONFIG = { id: {}, title: {}, body: {}, version: {} };
+    static GET_ENDPOINT() { return { url: '/notes/:id', method: 'GET' }; }
+    static PATCH_ENDPOINT() { return { url: '/notes/:id', method: 'PATCH' }; }
+}
+
+class EtagNoteModel extends NoteModel {
+    static VERSION = 'etag';
+    static PATCH_ONLY_CHANGES = false;
+}
+
+class BatchTaskModel extends TaskModel {
+    static BATCH_SIZE = 2;
+    static BATCH_ENDPOINT() { return { url: '/tasks/batch', method: 'POST' }; }
+}
+
+let adapter;
+
+beforeEach(() => {
+    adapter = new MockAdapter();
+    for (const ModelClass of [TaskModel, BatchTaskModel, MemberModel, NoteModel, EtagNoteModel]) {
+        ModelClass.QueryClient = ModelClass.createQueryClient();
+        ModelClass.setAdapter(adapter);
+    }
+});
+
+describe('Model', () => {
+    test('requires an ENTITY_NAME', () => {
+        class NamelessModel extends Model {}
+        expect(() => new NamelessModel()).toThrow('ENTITY_NAME not defined');
+    });
+
+    test('is persisted when it is created with an ID', () => {
+        expect(new TaskModel({ title: 'New' }).isPersisted).toBe(false);
+        expect(new TaskModel({ id: 1, title: 'Old' }).isPersisted).toBe(true);
+    });
+
+    test('returns the same instance for the same ID', () => {
+        const task = new TaskModel({ id: 1, title: 'One' });
+        expect(new TaskModel({ id: '1' })).toBe(task);
+        expect(TaskModel.findInstance(1)).toBe(task);
+    });
+
+    test('tracks the unsaved changes and restores them', () => {
+        const task = new TaskModel({ id: 2, title: 'Two' });
+        task.title = 'Changed';
+        expect(task.isDirty.value).toBe(true);
+        expect(task.dirtyAttributes.value).toEqual(['title']);
+        task.restore();
+        expect(task.title).toBe('Two');
+        expect(task.isDirty.value).toBe(false);
+    });
+
+    test('applies the options when the identity map returns an existing instance', async () => {
+        adapter.onGet('/tasks/:id', ({ params }) => ({ data: { task: { id: Number(params.id), title: 'Fetched' } } }));
+        const task = new TaskModel({ id: 10, title: 'Ten' });
+        task.done = true;
+        const calls = [];
+        const middleware = { beforeRequest: () => { calls.push('middleware'); } };
+
+        const same = new TaskModel({ id: 10, title: 'Server', done: false }, { middleware: [middleware] });
+        new TaskModel({ id: 10 }, { middleware: [middleware], beforeGetCallback: () => calls.push('first callback') });
+        new TaskModel({ id: 10 }, { beforeGetCallback: () => calls.push('second callback') });
+        await task.get();
+
+        expect(same).toBe(task);
+        // The data is merged as data from the server, so the unsaved changes are kept
+        expect([task.title, task.done]).toEqual(['Server', true]);
+        expect(calls).toEqual(['middleware', 'second callback']);
+
+        const otherClient = TaskModel.createQueryClient();
+        const other = new TaskModel({ id: 10 }, { queryClient: otherClient });
+        expect(other).not.toBe(task);
+        expect(other.getQueryClient()).toBe(otherClient);
+    });
+
+    test('fetches the entity once through the query cache', async () => {
+        adapter.onGet('/tasks/:id', ({ params }) => ({ data: { task: { id: Number(params.id), title: 'Fetched' } } }));
+        const [first, second] = await Promise.all([TaskModel.select(3), TaskModel.select(3)]);
+        expect(first).toBe(second);
+        expect(first.title).toBe('Fetched');
+        expect(adapter.history).toHaveLength(1);
+    });
+
+    test('lists the entities with their totals', async () => {
+        adapter.onGet('/tasks', () => ({ data: { tasks: [{ id: 4, title: 'Four' }], recordsTotal: 10, recordsFiltered: 1 } }));
+        const { list, recordsTotal, recordsFiltered } = await TaskModel.list({ done: false });
+        expect(list[0]).toBeInstanceOf(TaskModel);
+        expect(list[0].title).toBe('Four');
+        expect([recordsTotal, recordsFiltered]).toEqual([10, 1]);
+        expect(adapter.history[0].query).toEqual({ done: false });
+    });
+
+    test('caches the listed entities in their own query, except the rows without ID', async () => {
+        adapter.onGet('/tasks', { data: { tasks: [{ id: 1, title: 'One' }, { title: 'Total' }] } });
+        const { list } = await TaskModel.list({});
+        expect(list.map((task) => task.title)).toEqual(['One', 'Total']);
+        expect(list[1].isPersisted).toBe(false);
+        const queryKeys = TaskModel.QueryClient.getQueryCache().getAll().map((query) => query.queryKey);
+        expect(queryKeys).toEqual([TaskModel.getQueryKey(1)]);
+    });
+
+    test('creates the entity with save() and updates it afterwards', async () => {
+        adapter.onPost('/tasks', ({ data }) => ({ data: { task: { ...data, id: 5 } } }));
+        adapter.onPatch('/tasks/:id', ({ data }) => ({ data: { task: data } }));
+        const task = new TaskModel({ title: 'Five' });
+        await task.save();
+        expect(task.id).toBe(5);
+        expect(task.isPersisted).toBe(true);
+        task.done = true;
+        await task.save();
+        expect(adapter.history.map((request) => request.method)).toEqual(['POST', 'PATCH']);
+        expect(adapter.history[1].data).toMatchObject({ id: 5, done: true });
+        expect(task.isDirty.value).toBe(false);
+    });
+
+    test('creates the entities with a composite key until their data comes from the server', async () => {
+        adapter.onPost('/orgs/:orgId/members', ({ data }) => ({ status: 201, data: { member: data } }));
+        adapter.onPatch('/orgs/:orgId/members/:userId', ({ data }) => ({ data: { member: data } }));
+        const member = new MemberModel({ orgId: 1, userId: 2, role: 'member' });
+        expect(member.isPersisted).toBe(false);
+        await member.save();
+        expect(member.isPersisted).toBe(true);
+        member.role = 'admin';
+        await member.save();
+        await MemberModel.saveMany([new MemberModel({ orgId: 1, userId: 3 }), member]);
+        expect(adapter.history.map((request) => `${request.method} ${request.path}`)).toEqual([
+            'POST /orgs/1/members', 'PATCH /orgs/1/members/2', 'POST /orgs/1/members', 'PATCH /orgs/1/members/2',
+        ]);
+        expect(MemberModel.cast({ orgId: 1, userId: 4 }).isPersisted).toBe(true);
+    });
+
+    test('does not send invalid entities', async () => {
+        const error = await new TaskModel({}).post().catch((error) => error);
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors).toHaveProperty('title');
+        expect(adapter.history).toHaveLength(0);
+    });
+
+    test('translates the error responses', async () => {
+        const error = await new TaskModel({ id: 6 }).get().catch((error) => error);
+        expect(error).toBeInstanceOf(NotFoundError);
+        expect(error.status).toBe(404);
+    });
+
+    test('rejects the queries with the translated error without retrying them', async () => {
+        const notFound = await TaskModel.select(11).catch((error) => error);
+        expect(notFound).toBeInstanceOf(NotFoundError);
+        expect(adapter.history).toHaveLength(1);
+
+        const fetchError = await new TaskModel({ id: 12 }).fetchQuery().catch((error) => error);
+        expect(fetchError).toBeInstanceOf(NotFoundError);
+        expect(adapter.history).toHaveLength(2);
+    });
+
+    test('retries the queries only by the RETRY policies', async () => {
+        let attempts = 0;
+        adapter.onGet('/tasks/:id', () => {
+            if (++attempts < 3) throw new TypeError('Failed to fetch');
+            return { data: { task: { id: 13, title: 'Back online' } } };
+        });
+        TaskModel.RETRY = { NetworkError: { retries: 2, delay: 0 } };
+        try {
+            const task = await TaskModel.select(13);
+            expect(task.title).toBe('Back online');
+            expect(attempts).toBe(3);
+        } finally {
+            TaskModel.RETRY = {};
+        }
+    });
+
+    test('removes the deleted entity from the identity map and the cache', async () => {
+        adapter.onDelete('/tasks/:id', { status: 204 });
+        const task = new TaskModel({ id: 7, title: 'Seven' });
+        TaskModel.QueryClient.setQueryData(TaskModel.getQueryKey(7), { id: 7, title: 'Seven' });
+        await task.delete();
+        expect(TaskModel.findInstance(7)).toBeUndefined();
+        expect(TaskModel.QueryClient.getQueryData(TaskModel.getQueryKey(7))).toBeUndefined();
+    });
+
+    test('keeps the instances shown by a live list when their own query is garbage-collected', async () => {
+        adapter.onGet('/tasks', () => ({ data: { tasks: [{ id: 9, title: 'Nine' }] } }));
+        const queryClient = TaskModel.QueryClient;
+        const options = { queryKey: TaskModel.getListQueryKey({}), queryFn: () => TaskModel.list({}), staleTime: Infinity };
+        const { list: [task] } = await queryClient.fetchQuery(options);
+        // The list stays observed, as if a component was showing it
+        const unsubscribe = new QueryObserver(queryClient, options).subscribe(() => {});
+
+        queryClient.removeQueries({ queryKey: TaskModel.getQueryKey(9), exact: true });
+        expect(TaskModel.findInstance(9)).toBe(task);
+        expect(new TaskModel({ id: 9 })).toBe(task);
+
+        unsubscribe();
+        queryClient.removeQueries({ queryKey: TaskModel.getListQueryKey({}) });
+        expect(TaskModel.findInstance(9)).toBeUndefined();
+    });
+
+    test('runs the middleware around the requests', async () => {
+        adapter.onGet('/tasks/:id', ({ headers }) => ({ data: { task: { id: 8, title: headers.Authorization } } }));
+        const remove = TaskModel.use({
+            beforeRequest: (context) => ({ ...context, config: { ...context.config, headers: { Authorization: 'token' } } }),
+        });
+        const task = new TaskModel({ id: 8 });
+        await task.fetchQuery();
+        remove();
+        expect(task.title).toBe('token');
+    });
+});
+
+describe('Model conflicts', () => {
+    const serverNote = { id: 1, title: 'Server', body: 'Server body', version: 2 };
+
+    // The first PATCH answers with the conflict, the next ones save the data received
+    const conflictOnce = (status = 409) => {
+        let conflicted = false;
+        adapter.onPatch('/notes/:id', ({ data }) => {
+            if (conflicted) return { data: { note: { ...data, version: 3 } } };
+            conflicted = true;
+            return { status, data: { note: serverNote } };
+        });
+    };
+
+    const editNote = () => {
+        const note = new NoteModel({ id: 1, title: 'Original', body: 'Body', version: 1 });
+        note.title = 'Local';
+        return note;
+    };
+
+    test('sends the version attribute with the changes', async () => {
+        adapter.onPatch('/notes/:id', ({ data }) => ({ data: { note: data } }));
+        await editNote().save();
+        expect(adapter.history[0].data).toEqual({ title: 'Local', version: 1 });
+    });
+
+    test('sends the ETag of the last response in If-Match', async () => {
+        adapter.onGet('/notes/:id', { data: { note: { id: 1, title: 'Original' } }, headers: { etag: '"v1"' } });
+        adapter.onPatch('/notes/:id', ({ data }) => ({ data: { note: data }, headers: { etag: '"v2"' } }));
+        const note = await EtagNoteModel.select(1);
+        note.title = 'Local';
+        await note.save();
+        note.title = 'Again';
+        await note.save();
+        expect(adapter.history.map((request) => request.headers['If-Match'])).toEqual([undefined, '"v1"', '"v2"']);
+    });
+
+    test('throws a ConflictError with the conflicting attributes on 409 and 412', async () => {
+        for (const status of [409, 412]) {
+            adapter.reset();
+            conflictOnce(status);
+            const note = editNote();
+            const error = await note.save().catch((error) => error);
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error.conflicts).toEqual({ title: { original: 'Original', local: 'Local', server: 'Server' } });
+            expect(error.serverData).toEqual(serverNote);
+            expect([note.title, note.version]).toEqual(['Local', 1]);
+        }
+    });
+
+    test('sends the local changes again on top of the server version with the client strategy', async () => {
+        conflictOnce();
+        const note = editNote();
+        await note.save({ onConflict: 'client' });
+        expect(adapter.history[1].data).toEqual({ title: 'Local', version: 2 });
+        expect([note.title, note.body]).toEqual(['Local', 'Server body']);
+        expect(note.isDirty.value).toBe(false);
+    });
+
+    test('takes the server version with the server strategy', async () => {
+        conflictOnce();
+        const note = editNote();
+        await note.save({ onConflict: 'server' });
+        expect(adapter.history).toHaveLength(1);
+        expect(note.toJSON()).toEqual(serverNote);
+        expect(note.isDirty.value).toBe(false);
+        expect(NoteModel.QueryClient.getQueryData(NoteModel.getQueryKey(1))).toEqual(serverNote);
+    });
+
+    test('sends the values returned by the strategy function, or throws when it returns nothing', async () => {
+        conflictOnce();
+        const note = editNote();
+        note.body = 'Local body';
+        const strategy = (conflicts) => ({ title: `${conflicts.title.local} / ${conflicts.title.server}` });
+        await note.save({ onConflict: strategy });
+        expect(adapter.history[1].data).toEqual({ title: 'Local / Server', body: 'Local body', version: 2 });
+
+        adapter.reset();
+        conflictOnce();
+        const error = await editNote().save({ onConflict: () => null }).catch((error) => error);
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(adapter.history).toHaveLength(1);
+    });
+
+    test('only reports the attributes changed on both sides to different values', () => {
+        const note = new NoteModel({ id: 1, title: 'Original', body: 'Body', version: 1 });
+        note.title = 'Same';
+        note.body = 'Local body';
+        expect(note.getConflicts({ title: 'Same', body: 'Server body', version: 2 })).toEqual({
+            body: { original: 'Body', local: 'Local body', server: 'Server body' },
+        });
+        expect(note.getConflicts({ title: 'Original', body: 'Body', version: 2 })).toEqual({});
+    });
+});
+
+describe('Model optimistic mutations', () => {
+    // The responses are sent by the test, so it can check the state while the requests are in flight
+    const pendingResponses = () => {
+        const responses = [];
+        const handler = () => new Promise((resolve) => responses.push(resolve));
+        return { handler, respond: (response) => responses.shift()(response) };
+    };
+    const failure = { status: 500, data: { message: 'Failed' } };
+    const getCachedTask = (id) => TaskModel.QueryClient.getQueryData(TaskModel.getQueryKey(id));
+
+    beforeEach(() => {
+        adapter.onGet('/tasks/:id', ({ params }) => ({ data: { task: { id: Number(params.id), title: 'A', done: false } } }));
+    });
+
+    test('applies the patch to the cache while it is in flight and rolls it back on error', async () => {
+        const { handler, respond } = pendingResponses();
+        adapter.onPatch('/tasks/:id', handler);
+        const task = await TaskModel.select(1);
+
+        task.title = 'B';
+        const patch = task.patch({ optimistic: true }).catch((error) => error);
+        expect(getCachedTask(1)).toMatchObject({ title: 'B' });
+        expect([task.title, task.isDirty.value]).toEqual(['B', true]);
+
+        await vi.waitFor(() => expect(adapter.history).toHaveLength(2));
+        respond(failure);
+        expect((await patch).status).toBe(500);
+        expect(getCachedTask(1)).toMatchObject({ title: 'A' });
+        expect([task.title, task.isDirty.value]).toEqual(['A', false]);
+    });
+
+    test('keeps the values of a running patch when an earlier one fails', async () => {
+        const { handler, respond } = pendingResponses();
+        adapter.onPatch('/tasks/:id', handler);
+        const task = await TaskModel.select(2);
+
+        task.title = 'B';
+        const first = task.patch({ optimistic: true }).catch((error) => error);
+        task.done = true;
+        const second = task.patch({ optimistic: true });
+        await vi.waitFor(() => expect(adapter.history).toHaveLength(3));
+        expect(getCachedTask(2)).toMatchObject({ title: 'B', done: true });
+
+        respond(failure);
+        expect((await first).status).toBe(500);
+        expect([task.title, task.done]).toEqual(['B', true]);
+        expect(getCachedTask(2)).toMatchObject({ title: 'B', done: true });
+
+        respond({ data: { task: { id: 2, title: 'B', done: true } } });
+        await second;
+        expect([task.title, task.done, task.isDirty.value]).toEqual(['B', true, false]);
+        expect(getCachedTask(2)).toMatchObject({ title: 'B', done: true });
+    });
+
+    test('removes the entity from the lists while the delete is in flight and restores them on error', async () => {
+        adapter.onGet('/tasks', { data: { tasks: [{ id: 3, title: 'Three' }, { id: 4, title: 'Four' }], recordsTotal: 2 } });
+        const { handler, respond } = pendingResponses();
+        adapter.onDelete('/tasks/:id', handler);
+        const collection = new ModelCollection(TaskModel);
+        await vi.waitFor(() => expect(collection.items.value).toHaveLength(2));
+        const [task] = collection.items.value;
+
+        const deletion = task.delete({ optimistic: true }).catch((error) => error);
+        await vi.waitFor(() => expect(collection.items.value.map((item) => item.id)).toEqual([4]));
+        expect(collection.total.value).toBe(1);
+        expect(getCachedTask(3)).toBeUndefined();
+        expect(TaskModel.findInstance(3)).toBeUndefined();
+
+        respond(failure);
+        expect((await deletion).status).toBe(500);
+        await vi.waitFor(() => expect(collection.items.value.map((item) => item.id)).toEqual([3, 4]));
+        expect(collection.total.value).toBe(2);
+        expect(getCachedTask(3)).toMatchObject({ title: 'Three' });
+        expect(TaskModel.findInstance(3)).toBe(task);
+        collection.disconnect();
+    });
+});
+
+describe('Model bulk operations', () => {
+    const buildTasks = (ModelClass) => {
+        const created = new ModelClass({ title: 'New' });
+        const updated = new ModelClass({ id: 1, title: 'One' });
+        updated.done = true;
+        const missing = new ModelClass({ id: 2, title: 'Two' });
+        missing.done = true;
+        return [created, updated, new ModelClass({}), missing];
+    };
+
+    const expectResults = (results, ModelClass) => {
+        const [created, updated] = results.map((result) => result.model);
+        expect(results.map((result) => result.method)).toEqual(['post', 'patch', 'post', 'patch']);
+        expect(results.map((result) => result.error?.constructor)).toEqual([undefined, undefined, ValidationError, NotFoundError]);
+        expect([created.id, created.isPersisted]).toEqual([10, true]);
+        expect(ModelClass.QueryClient.getQueryData(ModelClass.getQueryKey(10))).toMatchObject({ title: 'New' });
+        expect(updated.isDirty.value).toBe(false);
+        expect(results[3].model.isDirty.value).toBe(true);
+    };
+
+    test('sends the operations to the BATCH_ENDPOINT in chunks of BATCH_SIZE', async () => {
+        adapter.onPost('/tasks/batch', ({ data }) => ({
+            data: {
+                results: data.operations.map((operation) => (operation.id === 2
+                    ? { status: 404, data: { message: 'Not found' } }
+                    : { data: { task: { ...operation.data, id: operation.id ?? 10 } } })),
+            },
+        }));
+        const results = await BatchTaskModel.saveMany(buildTasks(BatchTaskModel));
+
+        expect(adapter.history.map((request) => request.data.operations.map((operation) => [operation.method, operation.id])))
+            .toEqual([[['post', undefined], ['patch', 1]], [['patch', 2]]]);
+        expectResults(results, BatchTaskModel);
+    });
+
+    test('sends each entity in its own request without BATCH_ENDPOINT', async () => {
+        adapter.onPost('/tasks', ({ data }) => ({ status: 201, data: { task: { ...data, id: 10 } } }));
+        adapter.onPatch('/tasks/2', { status: 404, data: { message: 'Not found' } });
+        adapter.onPatch('/tasks/:id', ({ data }) => ({ data: { task: data } }));
+        const results = await TaskModel.saveMany(buildTasks(TaskModel), { concurrency: 1 });
+
+        expect(adapter.history.map((request) => `${request.method} ${request.path}`))
+            .toEqual(['POST /tasks', 'PATCH /tasks/1', 'PATCH /tasks/2']);
+        expectResults(results, TaskModel);
+    });
+});
+
+describe('Model history', () => {
+    class DraftModel extends Model {
+        static ENTITY_NAME = 'draft';
+        static HISTORY = true;
+        static ATTRIBUTES_CONFIG = { id: {}, firstName: {}, lastName: {} };
+        static GET_ENDPOINT() { return { url: '/drafts/:id', method: 'GET' }; }
+    }
+
+    beforeEach(() => {
+        DraftModel.QueryClient = DraftModel.createQueryClient();
+        DraftModel.setAdapter(adapter);
+        adapter.onGet('/drafts/:id', ({ params }) => ({ data: { draft: { id: Number(params.id), firstName: 'Ann', lastName: 'Lee' } } }));
+    });
+
+    const getNames = (draft) => [draft.firstName, draft.lastName];
+
+    test('undoes and redoes the changes, with each transaction as one step', async () => {
+        const draft = await DraftModel.select(1);
+        expect(draft.canUndo.value).toBe(false);
+
+        draft.transaction(() => {
+            draft.firstName = 'Joe';
+            draft.lastName = 'Doe';
+        });
+        draft.firstName = 'Jo';
+        expect(draft.undo()).toBe(true);
+        expect(getNames(draft)).toEqual(['Joe', 'Doe']);
+        expect(draft.undo()).toBe(true);
+        expect(getNames(draft)).toEqual(['Ann', 'Lee']);
+        expect([draft.isDirty.value, draft.canUndo.value, draft.canRedo.value]).toEqual([false, false, true]);
+        expect(draft.undo()).toBe(false);
+
+        expect(draft.redo()).toBe(true);
+        expect(getNames(draft)).toEqual(['Joe', 'Doe']);
+        expect(draft.isDirty.value).toBe(true);
+        draft.lastName = 'Roe';
+        expect(draft.canRedo.value).toBe(false);
+
+        draft.restore();
+        expect(getNames(draft)).toEqual(['Ann', 'Lee']);
+        draft.undo();
+        expect(getNames(draft)).toEqual(['Joe', 'Roe']);
+    });
+
+    test('keeps the last steps up to the limit of the history', () => {
+        class ShortDraftModel extends DraftModel {
+            static HISTORY = { limit: 2 };
+        }
+        const draft = new ShortDraftModel({ id: 2, firstName: 'Ann', lastName: 'Lee' });
+        draft.firstName = 'One';
+        draft.firstName = 'Two';
+        draft.firstName = 'Three';
+        expect([draft.undo(), draft.undo(), draft.undo()]).toEqual([true, true, false]);
+        expect(draft.firstName).toBe('One');
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { Model, MockAdapter, OfflineQueue, MemoryStorage } from '../index.js';
+
+class ItemModel extends Model {
+    static ENTITY_NAME = 'item';
+    static PRIMARY_KEY = 'code';
+    static ATTRIBUTES_CONFIG = { code: {}, name: {} };
+    static POST_ENDPOINT() { return { url: '/items', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/items/:code', method: 'PATCH' }; }
+}
+
+class MemberModel extends Model {
+    static ENTITY_NAME = 'member';
+    static PRIMARY_KEY = ['orgId', 'userId'];
+    static ATTRIBUTES_CONFIG = { orgId: {}, userId: {}, role: {} };
+    static PATCH_ENDPOINT() { return { url: '/orgs/:orgId/members/:userId', method: 'PATCH' }; }
+}
+
+let adapter;
+let online;
+let queue;
+
+beforeEach(() => {
+    online = false;
+    adapter = new MockAdapter();
+    for (const ModelClass of [ItemModel, MemberModel]) {
+        ModelClass.QueryClient = ModelClass.createQueryClient();
+        ModelClass.setAdapter(adapter);
+    }
+    queue = new OfflineQueue({ isOnline: () => online });
+    ItemModel.setOfflineQueue(queue);
+    MemberModel.setOfflineQueue(queue);
+});
+
+const getQueryKeys = (ModelClass) => ModelClass.QueryClient.getQueryCache().getAll().map((query) => query.queryKey);
+
+describe('OfflineQueue', () => {
+    test('caches the replayed entities under the key of their PRIMARY_KEY', async () => {
+        adapter.onPost('/items', ({ data }) => ({ status: 201, data: { item: { ...data, code: 'A1' } } }));
+        const item = new ItemModel({ name: 'Offline' });
+        await item.post();
+        expect(queue.entries.value).toHaveLength(1);
+
+        online = true;
+        await queue.replay();
+
+        expect(item.code).toBe('A1');
+        expect(getQueryKeys(ItemModel)).toEqual([['item', 'A1']]);
+        expect(ItemModel.QueryClient.getQueryData(['item', 'A1'])).toEqual({ code: 'A1', name: 'Offline' });
+    });
+
+    test('caches the replayed entities with a composite key', async () => {
+        adapter.onPatch('/orgs/:orgId/members/:userId', ({ data, params }) => ({
+            data: { member: { ...data, orgId: Number(params.orgId), userId: Number(params.userId) } },
+        }));
+        const member = new MemberModel({ orgId: 1, userId: 2, role: 'member' });
+        member.role = 'admin';
+        await member.patch();
+
+        online = true;
+        await queue.replay();
+
+        expect(adapter.history[0].path).toBe('/orgs/1/members/2');
+        expect(getQueryKeys(MemberModel)).toEqual([MemberModel.getQueryKey({ orgId: 1, userId: 2 })]);
+        expect(MemberModel.QueryClient.getQueryData(MemberModel.getQueryKey({ orgId: 1, userId: 2 }))).toMatchObject({ role: 'admin' });
+    });
+
+    test('replays the mutations persisted before a reload', async () => {
+        adapter.onPatch('/items/:code', ({ data, params }) => ({ data: { item: { ...data, code: params.code } } }));
+        const storage = new MemoryStorage();
+        await storage.setItem('signal-query-models:offline-queue', JSON.stringify([
+            { key: '1', entity: 'unknown', method: 'patch', id: 1, data: { name: 'Lost' } },
+            { key: '2', entity: 'item', method: 'patch', id: 'B2', data: { name: 'Kept' } },
+        ]));
+        online = true;
+        const reloaded = new OfflineQueue({ storage, isOnline: () => online });
+
+        const stop = await reloaded.start({ models: [ItemModel] });
+        await reloaded.replay();
+        stop();
+
+        expect(reloaded.entries.value).toEqual([]);
+        expect(reloaded.failed.value).toHaveLength(1);
+        expect(reloaded.failed.value[0].entry.entity).toBe('unknown');
+        expect(reloaded.failed.value[0].error.message).toBe('unknown is not registered in the offline queue');
+        expect(adapter.history.map((request) => request.path)).toEqual(['/items/B2']);
+    });
+
+    test('registers the models passed to the constructor', () => {
+        const other = new OfflineQueue({ models: [ItemModel, MemberModel] });
+        expect(other._models.get('item')).toBe(ItemModel);
+        expect(other._models.get('member')).toBe(MemberModel);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, test, expect } from 'vitest';
+import { checkModels, generateModels, readModelDefinitions } from '../index.js';
+
+const envelope = (name, schema) => ({
+    content: { 'application/json': { schema: { type: 'object', properties: { [name]: schema } } } },
+});
+
+const openApi = {
+    openapi: '3.0.0',
+    paths: {
+        '/users': {
+            get: { responses: { 200: envelope('users', { type: 'array', items: { $ref: '#/components/schemas/User' } }) } },
+            post: { responses: { 201: envelope('user', { $ref: '#/components/schemas/User' }) } },
+        },
+        '/users/{userId}': {
+            get: { responses: { 200: envelope('user', { $ref: '#/components/schemas/User' }) } },
+            patch: { responses: { 200: envelope('user', { $ref: '#/components/schemas/User' }) } },
+            delete: { responses: { 204: { description: 'Deleted' } } },
+        },
+        '/companies/{id}': {
+            get: { responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Company' } } } } } },
+        },
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string', minLength: 2, maxLength: 50 },
+                    role: { type: 'string', enum: ['admin', 'member'], default: 'member' },
+                    created_at: { type: 'string', format: 'date-time' },
+                    company: { $ref: '#/components/schemas/Company' },
+                },
+            },
+            Company: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    users: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+                },
+            },
+        },
+    },
+};
+
+describe('generateModels', () => {
+    test('reads the endpoints, the envelopes and the attributes from an OpenAPI document', () => {
+        const [company, user] = readModelDefinitions(openApi);
+
+        expect(user).toMatchObject({ className: 'UserModel', entityName: 'user', listName: 'users', raw: false });
+        expect(user.endpoints).toEqual({
+            LIST: { url: '/users', method: 'GET' },
+            POST: { url: '/users', method: 'POST' },
+            GET: { url: '/users/:id', method: 'GET' },
+            PATCH: { url: '/users/:id', method: 'PATCH' },
+            DELETE: { url: '/users/:id', method: 'DELETE' },
+        });
+        expect(user.attributes).toEqual({
+            id: { type: 'number' },
+            name: { type: 'string', min: 2, max: 50, required: true },
+            role: { type: 'enum', values: ['admin', 'member'], default: 'member' },
+            createdAt: { type: 'date', apiName: 'created_at' },
+            company: { type: 'belongsTo', model: 'CompanyModel' },
+        });
+        expect(company).toMatchObject({ entityName: 'company', listName: 'companies', raw: true });
+        expect(company.attributes.users).toEqual({ type: 'hasMany', model: 'UserModel' });
+    });
+
+    test('emits a module per model and an index', () => {
+        const files = generateModels(openApi, { importFrom: '../lib' });
+        expect(files.map(({ fileName }) => fileName)).toEqual(['CompanyModel.js', 'UserModel.js', 'index.js']);
+
+        const company = files[0].code;
+        expect(company).toContain("import { Model, RawSerializer } from '../lib';");
+        expect(company).toContain("import { UserModel } from './UserModel.js';");
+        expect(company).toContain('static SERIALIZER = new RawSerializer();');
+        expect(company).toContain("users: { type: 'hasMany', model: () => UserModel },");
+        expect(files[1].code).toContain("static PATCH_ENDPOINT() { return { url: '/users/:id', method: 'PATCH' }; }");
+        expect(files[2].code).toContain("export { UserModel } from './UserModel.js';");
+    });
+
+    test('uses the REST conventions for JSON Schema documents', () => {
+        const [definition] = readModelDefinitions({
+            $defs: { OrderItem: { type: 'object', properties: { sku: { type: 'string', readOnly: true } } } },
+        }, { baseUrl: '/api' });
+
+        expect(definition).toMatchObject({ className: 'OrderItemModel', entityName: 'orderItem', listName: 'orderItems', primaryKey: 'sku' });
+        expect(definition.endpoints.GET).toEqual({ url: '/api/orderItems/:id', method: 'GET' });
+    });
+});
+
+describe('checkModels', () => {
+    test('reports the files that do not match the document', () => {
+        const files = Object.fromEntries(generateModels(openApi).map(({ fileName, code }) => [fileName, code]));
+        expect(checkModels(openApi, files)).toEqual([]);
+
+        const changed = {
+            ...files,
+            'UserModel.js': files['UserModel.js'].replace('max: 50', 'max: 80'),
+            'OldModel.js': '// Generated by signal-query-models from the Old schema.\n',
+            'custom.js': 'export const custom = true;\n',
+        };
+        delete changed['index.js'];
+        const problems = checkModels(openApi, changed);
+
+        expect(problems).toEqual([
+            expect.objectContaining({ fileName: 'UserModel.js', type: 'changed', actual: expect.stringContaining('max: 80') }),
+            { fileName: 'index.js', type: 'missing' },
+            { fileName: 'OldModel.js', type: 'extra' },
+        ]);
+    });
+});
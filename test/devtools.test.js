@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { Model, MockAdapter } from '../index.js';
+import { ModelDevtoolsPanel, createDevtools } from '../devtools.js';
+
+class NoteModel extends Model {
+    static ENTITY_NAME = 'note';
+    static LIST_NAME = 'notes';
+    static ATTRIBUTES_CONFIG = { id: {}, text: {} };
+    static GET_ENDPOINT() { return { url: '/notes/:id', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/notes', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/notes/:id', method: 'PATCH' }; }
+}
+
+let adapter;
+let devtools;
+
+beforeEach(() => {
+    NoteModel.QueryClient = NoteModel.createQueryClient();
+    adapter = new MockAdapter();
+    NoteModel.setAdapter(adapter);
+    devtools = createDevtools({ models: [NoteModel] });
+});
+
+afterEach(() => devtools.uninstall());
+
+describe('ModelDevtools', () => {
+    test('lists the live instances with their dirty attributes', async () => {
+        adapter.onGet('/notes/:id', () => ({ data: { note: { id: 1, text: 'Saved' } } }));
+        const note = await NoteModel.select(1);
+        note.text = 'Edited';
+        const draft = new NoteModel({ text: 'Draft' });
+        draft.text = 'Draft 2';
+
+        const [{ name, instances }] = devtools.getModels();
+        expect(name).toBe('NoteModel');
+        expect(instances.map((item) => item.instance)).toEqual([note, draft]);
+        expect(instances[0]).toMatchObject({
+            id: 1,
+            isDirty: true,
+            data: { id: 1, text: 'Edited' },
+            originalData: { id: 1, text: 'Saved' },
+            changes: { text: { old: 'Saved', new: 'Edited' } },
+        });
+    });
+
+    test('records the changes and the requests in the timeline', async () => {
+        adapter.onPost('/notes', () => ({ status: 201, data: { note: { id: 5, text: 'New' } } }));
+        const note = new NoteModel({});
+        note.text = 'New';
+        await note.post();
+
+        const [change, request] = devtools.timeline.value;
+        expect(change).toMatchObject({ type: 'change', entity: 'note', attribute: 'text', previous: null, value: 'New' });
+        expect(request).toMatchObject({
+            type: 'request',
+            method: 'post',
+            url: '/notes',
+            status: 'success',
+            httpStatus: 201,
+            response: { note: { id: 5, text: 'New' } },
+        });
+        expect(request.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('shows and edits the entries of the cache', async () => {
+        adapter.onGet('/notes/:id', () => ({ data: { note: { id: 2, text: 'Cached' } } }));
+        const note = await NoteModel.select(2);
+
+        const [query] = devtools.getQueries();
+        expect(query).toMatchObject({ queryKey: ['note', 2], status: 'success', isList: false, data: { id: 2, text: 'Cached' } });
+
+        await devtools.invalidate(['note', 2]);
+        expect(devtools.getQueries()[0].isStale).toBe(true);
+
+        devtools.setAttribute(note, 'text', 'From devtools');
+        expect(note.text).toBe('From devtools');
+        devtools.removeQuery(['note', 2]);
+        expect(devtools.getQueries()).toEqual([]);
+        expect(NoteModel.findInstance(2)).toBeUndefined();
+    });
+
+    test('renders the panel', () => {
+        new NoteModel({ id: 3, text: 'Shown' });
+        expect(renderToStaticMarkup(createElement(ModelDevtoolsPanel, { devtools }))).toContain('Models');
+        const markup = renderToStaticMarkup(createElement(ModelDevtoolsPanel, { devtools, initialIsOpen: true }));
+        expect(markup).toContain('NoteModel (1)');
+        expect(markup).toContain('#3');
+    });
+});
+
+describe('devtools entry', () => {
+    test('loads without process, as in the browsers without a bundler', async () => {
+        vi.resetModules();
+        vi.stubGlobal('process', undefined);
+        try {
+            const { DEVTOOLS_ENABLED } = await import('../src/devtools/ModelDevtools.js');
+            expect(DEVTOOLS_ENABLED).toBe(true);
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+});
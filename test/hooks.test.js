@@ -0,0 +1,175 @@
+// @vitest-environment jsdom
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { createElement as h } from 'react';
+import { render, renderHook, screen, fireEvent, waitFor, act, cleanup } from '@testing-library/react';
+import { Model, ModelCollection, MockAdapter, useModel, useModelForm } from '../index.js';
+
+class TaskModel extends Model {
+    static ENTITY_NAME = 'task';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: { required: true },
+        done: { type: 'boolean', default: false },
+    };
+    static GET_ENDPOINT() { return { url: '/tasks/:id', method: 'GET' }; }
+    static LIST_ENDPOINT() { return { url: '/tasks', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/tasks', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/tasks/:id', method: 'PATCH' }; }
+}
+
+let adapter;
+
+beforeEach(() => {
+    TaskModel.QueryClient = TaskModel.createQueryClient();
+    adapter = new MockAdapter();
+    TaskModel.setAdapter(adapter);
+    adapter.onGet('/tasks/:id', ({ params }) => ({ data: { task: { id: Number(params.id), title: 'A' } } }));
+});
+
+afterEach(() => cleanup());
+
+const renderTask = async (id) => {
+    const { result } = renderHook(() => useModel(TaskModel, id));
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    return result;
+};
+
+describe('useModel', () => {
+    test('merges the changes of the query without losing the unsaved changes', async () => {
+        const result = await renderTask(1);
+        const task = result.current.model;
+        expect(task.title).toBe('A');
+
+        task.title = 'typed by user';
+        act(() => {
+            TaskModel.QueryClient.setQueryData(TaskModel.getQueryKey(1), { id: 1, title: 'A', done: true });
+        });
+        await waitFor(() => expect(task.done).toBe(true));
+        expect(task.title).toBe('typed by user');
+        expect(task.isDirty.value).toBe(true);
+        expect(task.changes.value).toEqual({ title: { old: 'A', new: 'typed by user' } });
+    });
+
+    test('rolls back a failed optimistic patch while the query is observed', async () => {
+        adapter.onPatch('/tasks/:id', { status: 500, data: { message: 'Failed' } });
+        const result = await renderTask(2);
+        const task = result.current.model;
+
+        task.title = 'B';
+        await act(() => task.patch({ optimistic: true }).catch(() => {}));
+        expect(task.title).toBe('A');
+        expect(TaskModel.QueryClient.getQueryData(TaskModel.getQueryKey(2))).toMatchObject({ title: 'A' });
+    });
+});
+
+describe('useModelForm', () => {
+    const TaskForm = ({ task, onSuccess }) => {
+        const form = useModelForm(task, { onSuccess });
+        const { error, touched, ...title } = form.field('title');
+        const { error: doneError, touched: doneTouched, value: done, ...doneInput } = form.field('done');
+        return h('form', { onSubmit: form.submit },
+            h('input', { 'aria-label': 'Title', ...title }),
+            h('input', { 'aria-label': 'Done', type: 'checkbox', checked: Boolean(done), ...doneInput }),
+            h('span', { role: 'alert' }, touched && error ? error : ''),
+            h('span', { role: 'status' }, form.isDirty ? 'dirty' : 'clean'),
+            h('button', { type: 'submit', disabled: form.isSubmitting }, form.isSubmitting ? 'Saving' : 'Save'),
+            h('button', { type: 'button', onClick: form.reset }, 'Reset'),
+        );
+    };
+
+    test('binds the inputs to the attributes and validates them on blur', async () => {
+        const task = new TaskModel({ id: 3, title: 'A' });
+        render(h(TaskForm, { task }));
+        const input = screen.getByLabelText('Title');
+        expect(input.value).toBe('A');
+
+        fireEvent.change(input, { target: { value: 'Typed' } });
+        fireEvent.click(screen.getByLabelText('Done'));
+        expect([task.title, task.done]).toEqual(['Typed', true]);
+        await waitFor(() => expect(screen.getByRole('status').textContent).toBe('dirty'));
+        expect(input.value).toBe('Typed');
+
+        fireEvent.change(input, { target: { value: '' } });
+        fireEvent.blur(input);
+        await waitFor(() => expect(screen.getByRole('alert').textContent).not.toBe(''));
+
+        fireEvent.click(screen.getByText('Reset'));
+        await waitFor(() => expect(input.value).toBe('A'));
+        expect([task.title, task.done, screen.getByRole('alert').textContent]).toEqual(['A', false, '']);
+    });
+
+    test('saves the entity on submit and shows the errors of the server', async () => {
+        let attempt = 0;
+        adapter.onPost('/tasks', ({ data }) => (++attempt === 1
+            ? { status: 422, data: { message: 'Invalid', errors: { title: ['is taken'] } } }
+            : { status: 201, data: { task: { ...data, id: 4 } } }));
+        const saved = [];
+        const task = new TaskModel({ title: 'Taken' });
+        render(h(TaskForm, { task, onSuccess: (response, model) => saved.push(model) }));
+
+        fireEvent.submit(screen.getByText('Save'));
+        await waitFor(() => expect(screen.getByRole('alert').textContent).toBe('is taken'));
+        expect(task.isPersisted).toBe(false);
+
+        fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Free' } });
+        fireEvent.submit(screen.getByText('Save'));
+        await waitFor(() => expect(saved).toEqual([task]));
+        expect([task.id, task.isPersisted]).toEqual([4, true]);
+        expect(adapter.history.map((request) => request.data.title)).toEqual(['Taken', 'Free']);
+        await waitFor(() => expect(screen.getByText('Save').disabled).toBe(false));
+    });
+});
+
+describe('Cancellation', () => {
+    // The handlers only run for the requests that were not aborted during the delay of the adapter
+    const countRequests = () => {
+        const handled = [];
+        adapter.reset();
+        adapter.delay = 20;
+        adapter.onGet('/tasks/:id', ({ params }) => {
+            handled.push(`task ${params.id}`);
+            return { data: { task: { id: Number(params.id), title: 'A' } } };
+        });
+        adapter.onGet('/tasks', ({ query }) => {
+            handled.push(`search ${query.search?.value ?? ''}`);
+            return { data: { tasks: [], recordsTotal: 0 } };
+        });
+        return handled;
+    };
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    test('aborts the request of useModel when the component unmounts', async () => {
+        const handled = countRequests();
+        const { unmount } = renderHook(() => useModel(TaskModel, 5));
+        await waitFor(() => expect(adapter.history).toHaveLength(1));
+        unmount();
+        await wait(40);
+
+        expect(handled).toEqual([]);
+        const state = TaskModel.QueryClient.getQueryState(TaskModel.getQueryKey(5));
+        expect([state.fetchStatus, state.error]).toEqual(['idle', null]);
+    });
+
+    test('aborts the request of the collection superseded by a new search', async () => {
+        const handled = countRequests();
+        const collection = new ModelCollection(TaskModel);
+        await waitFor(() => expect(adapter.history).toHaveLength(1));
+        collection.search.value = 'new';
+        await waitFor(() => expect(collection.isFetching.value).toBe(false));
+        collection.disconnect();
+
+        expect(adapter.history).toHaveLength(2);
+        expect(handled).toEqual(['search new']);
+    });
+
+    test('rejects with an AbortError the requests aborted with the signal option', async () => {
+        const handled = countRequests();
+        const controller = new AbortController();
+        const request = TaskModel.list({}, { signal: controller.signal });
+        controller.abort();
+        const error = await request.catch((error) => error);
+
+        expect(error.name).toBe('AbortError');
+        expect(handled).toEqual([]);
+    });
+});
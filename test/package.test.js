@@ -0,0 +1,26 @@
+import { describe, test, expect } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+describe('package', () => {
+    test('loads in Node through its exports', () => {
+        const output = execFileSync(process.execPath, [
+            '--input-type=module',
+            '-e',
+            "const { Model } = await import('signal-query-models'); console.log(typeof Model);",
+        ], { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        expect(output.trim()).toBe('function');
+    });
+
+    test('exposes the devtools only through their own entry', () => {
+        const output = execFileSync(process.execPath, [
+            '--input-type=module',
+            '-e',
+            "const main = await import('signal-query-models'); const devtools = await import('signal-query-models/devtools');"
+                + " console.log('createDevtools' in main, typeof devtools.createDevtools, typeof devtools.ModelDevtoolsPanel);",
+        ], { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        expect(output.trim()).toBe('false function function');
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { Model, MockRealtimeAdapter, RealtimeSync } from '../index.js';
+
+class TaskModel extends Model {
+    static ENTITY_NAME = 'task';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: {},
+        done: { type: 'boolean', default: false },
+    };
+}
+
+let realtime;
+let stop;
+
+beforeEach(() => {
+    TaskModel.QueryClient = TaskModel.createQueryClient();
+    realtime = new MockRealtimeAdapter();
+    stop = new RealtimeSync(realtime, { models: [TaskModel] }).start();
+});
+
+afterEach(() => stop());
+
+const getCachedTask = (id) => TaskModel.QueryClient.getQueryData(TaskModel.getQueryKey(id));
+
+describe('RealtimeSync', () => {
+    test('merges the updates into the instance of the identity map without losing the unsaved changes', () => {
+        const task = new TaskModel({ id: 1, title: 'A' });
+        TaskModel.QueryClient.setQueryData(TaskModel.getQueryKey(1), { id: 1, title: 'A', done: false });
+        task.title = 'typed by user';
+
+        realtime.push({ type: 'updated', entity: 'task', id: 1, data: { title: 'Server', done: true } });
+
+        expect(new TaskModel({ id: 1 })).toBe(task);
+        expect([task.title, task.done]).toEqual(['typed by user', true]);
+        expect(task.changes.value).toEqual({ title: { old: 'Server', new: 'typed by user' } });
+        expect(getCachedTask(1)).toEqual({ id: 1, title: 'Server', done: true });
+    });
+
+    test('notifies the created entities and removes the deleted ones', () => {
+        const events = [];
+        const unsubscribe = TaskModel.subscribe((type, instance) => events.push([type, instance.id, instance.isPersisted]));
+        const task = new TaskModel({ id: 2, title: 'Two' });
+        TaskModel.QueryClient.setQueryData(TaskModel.getQueryKey(2), { id: 2, title: 'Two' });
+
+        realtime.push([
+            { type: 'created', entity: 'task', data: { id: 3, title: 'Three' } },
+            { type: 'deleted', entity: 'task', id: 2 },
+            { type: 'updated', entity: 'other', id: 2, data: { title: 'Ignored' } },
+        ]);
+        unsubscribe();
+
+        expect(events).toEqual([['created', 3, true], ['deleted', 2, true]]);
+        expect(TaskModel.findInstance(2)).toBeUndefined();
+        expect(getCachedTask(2)).toBeUndefined();
+        expect(task.title).toBe('Two');
+    });
+
+    test('drops the events pushed after it stops', () => {
+        const task = new TaskModel({ id: 4, title: 'Four' });
+        stop();
+        realtime.push({ type: 'updated', entity: 'task', id: 4, data: { title: 'Late' } });
+        expect(task.title).toBe('Four');
+        expect(realtime.isConnected.value).toBe(false);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { Model, MockAdapter, DataMetaSerializer, RawSerializer, JsonApiSerializer } from '../index.js';
+
+class AuthorModel extends Model {
+    static ENTITY_NAME = 'author';
+    static ATTRIBUTES_CONFIG = { id: {}, fullName: {} };
+}
+
+class ArticleModel extends Model {
+    static ENTITY_NAME = 'article';
+    static LIST_NAME = 'articles';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: {},
+        publishedAt: { type: 'date' },
+        wordCount: { apiName: 'words' },
+        tags: { serialize: (tags) => tags?.join(','), deserialize: (tags) => tags?.split(',') },
+        author: { type: 'belongsTo', model: () => AuthorModel },
+    };
+    static GET_ENDPOINT() { return { url: '/articles/:id', method: 'GET' }; }
+    static LIST_ENDPOINT() { return { url: '/articles', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/articles', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/articles/:id', method: 'PATCH' }; }
+}
+
+let adapter;
+
+beforeEach(() => {
+    adapter = new MockAdapter();
+    for (const ModelClass of [AuthorModel, ArticleModel]) {
+        ModelClass.QueryClient = ModelClass.createQueryClient();
+        ModelClass.setAdapter(adapter);
+        ModelClass.SERIALIZER = null;
+    }
+});
+
+const useSerializer = (serializer) => {
+    AuthorModel.SERIALIZER = serializer;
+    ArticleModel.SERIALIZER = serializer;
+};
+
+describe('Serializers', () => {
+    test('translates the keys and the values of the requests and the responses', async () => {
+        useSerializer(new DataMetaSerializer({ keyCase: 'snake' }));
+        adapter.onGet('/articles/:id', {
+            data: { data: { id: 1, title: 'Signals', published_at: '2024-01-02T00:00:00.000Z', words: 300, tags: 'a,b' } },
+        });
+        adapter.onPatch('/articles/:id', ({ data }) => ({ data: { data } }));
+        const article = await ArticleModel.select(1);
+        expect(article.publishedAt).toEqual(new Date('2024-01-02T00:00:00.000Z'));
+        expect([article.wordCount, article.tags]).toEqual([300, ['a', 'b']]);
+
+        article.publishedAt = new Date('2024-02-03T00:00:00.000Z');
+        await article.patch();
+        expect(adapter.history[1].data).toEqual({
+            id: 1, title: 'Signals', published_at: '2024-02-03T00:00:00.000Z', words: 300, tags: 'a,b', author: null,
+        });
+        expect(article.isDirty.value).toBe(false);
+    });
+
+    test('reads the lists from their envelope and their counters', async () => {
+        useSerializer(new DataMetaSerializer());
+        adapter.onGet('/articles', { data: { data: [{ id: 1, title: 'One' }], meta: { total: 5, filtered: 1 } } });
+        const { list, recordsTotal, recordsFiltered } = await ArticleModel.list({});
+        expect([list[0].title, recordsTotal, recordsFiltered]).toEqual(['One', 5, 1]);
+
+        useSerializer(new RawSerializer());
+        adapter.reset();
+        adapter.onGet('/articles', { data: [{ id: 2, title: 'Two' }], headers: { 'X-Total-Count': '8' } });
+        const raw = await ArticleModel.list({});
+        expect([raw.list[0].title, raw.recordsTotal]).toEqual(['Two', 8]);
+    });
+
+    test('reads and sends JSON:API resources with their relationships and errors', async () => {
+        useSerializer(new JsonApiSerializer({ keyCase: 'kebab' }));
+        adapter.onGet('/articles/:id', {
+            data: {
+                data: {
+                    type: 'article',
+                    id: '1',
+                    attributes: { title: 'Signals', words: 300 },
+                    relationships: { author: { data: { type: 'author', id: '7' } } },
+                },
+                included: [{ type: 'author', id: '7', attributes: { 'full-name': 'Ann Lee' } }],
+            },
+        });
+        const article = await ArticleModel.select(1);
+        expect([article.id, article.title, article.wordCount]).toEqual([1, 'Signals', 300]);
+        expect(article.author).toBeInstanceOf(AuthorModel);
+        expect([article.author.id, article.author.fullName]).toEqual([7, 'Ann Lee']);
+
+        adapter.onPost('/articles', {
+            status: 422,
+            data: { errors: [{ detail: 'is too short', source: { pointer: '/data/attributes/title' } }] },
+        });
+        const draft = new ArticleModel({ title: 'A', author: 7 });
+        await draft.post().catch(() => {});
+        const { data: resource } = adapter.history[1].data;
+        expect(resource.type).toBe('article');
+        expect(resource).not.toHaveProperty('id');
+        expect(resource.attributes).toMatchObject({ title: 'A', 'published-at': null, words: null });
+        expect(resource.relationships).toEqual({ author: { data: { type: 'author', id: '7' } } });
+        expect(draft.errors.title.value).toEqual(['is too short']);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { QueryClient } from '@tanstack/react-query';
+import { Model, MockAdapter, dehydrateModels, hydrateModels } from '../index.js';
+
+class ProjectModel extends Model {
+    static ENTITY_NAME = 'project';
+    static ATTRIBUTES_CONFIG = { id: {}, name: {} };
+}
+
+class TaskModel extends Model {
+    static ENTITY_NAME = 'task';
+    static LIST_NAME = 'tasks';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        title: {},
+        done: { type: 'boolean', default: false },
+        dueAt: { type: 'date' },
+        project: { type: 'belongsTo', model: () => ProjectModel, serialize: 'object' },
+    };
+    static GET_ENDPOINT() { return { url: '/tasks/:id', method: 'GET' }; }
+    static LIST_ENDPOINT() { return { url: '/tasks', method: 'GET' }; }
+}
+
+let adapter;
+
+beforeEach(() => {
+    adapter = new MockAdapter();
+    for (const ModelClass of [ProjectModel, TaskModel]) {
+        ModelClass.QueryClient = ModelClass.createQueryClient();
+        ModelClass.setAdapter(adapter);
+    }
+});
+
+describe('hydrateModels', () => {
+    test('restores the lists and the entities rendered on the server without refetching them', async () => {
+        adapter.onGet('/tasks', {
+            data: {
+                tasks: [{ id: 1, title: 'One', dueAt: '2024-01-02T00:00:00.000Z', project: { id: 7, name: 'Seven' } }],
+                recordsTotal: 1,
+            },
+        });
+        const serverClient = TaskModel.createQueryClient();
+        const listOptions = {
+            queryKey: TaskModel.getListQueryKey({}),
+            queryFn: () => TaskModel.list({}, { queryClient: serverClient }),
+        };
+        await serverClient.fetchQuery(listOptions);
+        const state = JSON.parse(JSON.stringify(dehydrateModels(serverClient)));
+
+        hydrateModels(TaskModel.QueryClient, state, [TaskModel, ProjectModel]);
+
+        const { list: [task], recordsTotal } = TaskModel.QueryClient.getQueryData(TaskModel.getListQueryKey({}));
+        expect(task).toBeInstanceOf(TaskModel);
+        expect([task.title, task.dueAt, recordsTotal]).toEqual(['One', new Date('2024-01-02T00:00:00.000Z'), 1]);
+        expect(task.project).toBeInstanceOf(ProjectModel);
+        expect(task.project.name).toBe('Seven');
+        expect([task.isPersisted, task.isDirty.value]).toEqual([true, false]);
+
+        expect(await TaskModel.select(1)).toBe(task);
+        await TaskModel.QueryClient.fetchQuery(listOptions);
+        expect(adapter.history).toHaveLength(1);
+    });
+
+    test('keeps the unsaved changes of the instances that already exist', () => {
+        const serverClient = new QueryClient();
+        serverClient.setQueryData(TaskModel.getQueryKey(1), { id: 1, title: 'A', done: true });
+        const task = new TaskModel({ id: 1, title: 'A' });
+        task.title = 'typed by user';
+
+        hydrateModels(TaskModel.QueryClient, dehydrateModels(serverClient), [TaskModel]);
+
+        expect(new TaskModel({ id: 1 })).toBe(task);
+        expect([task.title, task.done]).toEqual(['typed by user', true]);
+        expect(task.isDirty.value).toBe(true);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { Model, createFakeApi, defineFactory } from '../index.js';
+
+class CompanyModel extends Model {
+    static ENTITY_NAME = 'company';
+    static LIST_NAME = 'companies';
+    static ATTRIBUTES_CONFIG = { id: {}, name: {} };
+    static GET_ENDPOINT() { return { url: '/companies/:id', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/companies', method: 'POST' }; }
+}
+
+class EmployeeModel extends Model {
+    static ENTITY_NAME = 'employee';
+    static LIST_NAME = 'employees';
+    static ATTRIBUTES_CONFIG = {
+        id: {},
+        name: {},
+        role: {},
+        company: { type: 'belongsTo', model: () => CompanyModel, foreignKey: 'companyId' },
+    };
+    static LIST_ENDPOINT() { return { url: '/employees', method: 'GET' }; }
+    static GET_ENDPOINT() { return { url: '/employees/:id', method: 'GET' }; }
+    static POST_ENDPOINT() { return { url: '/employees', method: 'POST' }; }
+    static PATCH_ENDPOINT() { return { url: '/employees/:id', method: 'PATCH' }; }
+    static DELETE_ENDPOINT() { return { url: '/employees/:id', method: 'DELETE' }; }
+}
+
+const CompanyFactory = defineFactory(CompanyModel, { name: (n) => `Company ${n}` });
+
+const EmployeeFactory = defineFactory(EmployeeModel, {
+    name: (n) => `Employee ${n}`,
+    role: 'developer',
+    company: CompanyFactory,
+}).trait('manager', { role: 'manager' });
+
+let api;
+
+beforeEach(() => {
+    for (const ModelClass of [CompanyModel, EmployeeModel]) {
+        ModelClass.QueryClient = ModelClass.createQueryClient();
+    }
+    api = createFakeApi({ models: [CompanyModel, EmployeeModel] });
+    Model.setAdapter(api);
+    CompanyFactory.resetSequence();
+    EmployeeFactory.resetSequence();
+});
+
+describe('defineFactory', () => {
+    test('builds entities with sequences, traits and overrides', () => {
+        const [first, second] = EmployeeFactory.buildList(2);
+        expect([first.name, second.name]).toEqual(['Employee 1', 'Employee 2']);
+        const manager = EmployeeFactory.build({ name: 'Jo' }, 'manager');
+        expect([manager.name, manager.role]).toEqual(['Jo', 'manager']);
+        expect(manager.isPersisted).toBe(false);
+        expect(() => EmployeeFactory.build({}, 'unknown')).toThrow('Unknown trait unknown');
+    });
+
+    test('builds the related entities', () => {
+        const employee = EmployeeFactory.build();
+        expect(employee.company).toBeInstanceOf(CompanyModel);
+        expect(employee.company.name).toBe('Company 1');
+    });
+
+    test('creates the entity and its relations through the API', async () => {
+        const employee = await EmployeeFactory.create({}, 'manager');
+        expect(employee.id).toBe(1);
+        expect(employee.company.id).toBe(1);
+        expect(api.find(EmployeeModel, 1)).toMatchObject({ name: 'Employee 1', role: 'manager', companyId: 1 });
+    });
+});
+
+describe('createFakeApi', () => {
+    test('serves the whole lifecycle of a model', async () => {
+        const employee = new EmployeeModel({ name: 'Ann' });
+        await employee.post();
+        expect(employee.id).toBe(1);
+
+        employee.role = 'lead';
+        await employee.patch();
+        expect(api.find(EmployeeModel, 1).role).toBe('lead');
+
+        EmployeeModel.clearIdentityMap();
+        EmployeeModel.QueryClient.clear();
+        const fetched = await EmployeeModel.select(1);
+        expect(fetched).not.toBe(employee);
+        expect(fetched.role).toBe('lead');
+
+        await fetched.delete();
+        expect(api.all(EmployeeModel)).toEqual([]);
+        const error = await new EmployeeModel({ id: 1 }).get().catch((error) => error);
+        expect(error.status).toBe(404);
+    });
+
+    test('filters, searches, orders and pages the lists', async () => {
+        api.seed(EmployeeModel, [
+            { name: 'Carla', role: 'developer' },
+            { name: 'Ann', role: 'manager' },
+            { name: 'Bea', role: 'developer' },
+        ]);
+        const developers = await EmployeeModel.list({ role: 'developer', order: { column: 'name', dir: 'asc' } });
+        expect(developers.list.map((employee) => employee.name)).toEqual(['Bea', 'Carla']);
+        expect([developers.recordsTotal, developers.recordsFiltered]).toEqual([3, 2]);
+
+        const page = await EmployeeModel.query().search('a').orderBy('name', 'desc').page(2, 1).get();
+        expect(page.list.map((employee) => employee.name)).toEqual(['Bea']);
+        expect(page.recordsFiltered).toBe(3);
+    });
+
+    test('resets the tables and the history', async () => {
+        await EmployeeFactory.createList(2);
+        api.reset();
+        expect(api.all(EmployeeModel)).toEqual([]);
+        expect(api.history).toEqual([]);
+    });
+});
@@ -0,0 +1,6 @@
+export default {
+    test: {
+        environment: 'node',
+        include: ['test/**/*.test.js'],
+    },
+};